@@ -0,0 +1,143 @@
+// Shared API client
+// Used by the card page scripts and the marketplace analyzer for every backend call.
+
+const API_DEFAULT_TIMEOUT_MS = 8000;
+const API_DEFAULT_RETRIES = 2;
+const API_RETRY_BASE_DELAY_MS = 500;
+
+class ApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+/**
+ * Whether a failed call means the backend could not answer (network error, timeout or 5xx)
+ * rather than that it refused the request (4xx)
+ * @param {ApiError} error - Error thrown by apiRequest()
+ * @returns {boolean}
+ */
+function isApiUnavailable(error) {
+    return !error.status || error.status >= 500;
+}
+
+/**
+ * Load the selected environment and API key from storage
+ * @returns {Promise<{environment: string, baseUrl: string, apiKey: string}>}
+ */
+function loadApiSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['apiEnvironment', 'apiKey'], (result) => {
+            const environment = API_ENVIRONMENTS[result.apiEnvironment] ? result.apiEnvironment : DEFAULT_API_ENVIRONMENT;
+            resolve({
+                environment,
+                baseUrl: API_ENVIRONMENTS[environment].baseUrl,
+                apiKey: result.apiKey || ''
+            });
+        });
+    });
+}
+
+// Serializes api-status updates so calls finishing together don't overwrite each other's outcome
+let apiStatusQueue = Promise.resolve();
+
+/**
+ * Record the outcome of a call so the popup can show backend failures
+ * @param {string} environment - Environment the call went to
+ * @param {string} path - API path
+ * @param {Error|null} error - Final error, null on success
+ */
+function reportApiStatus(environment, path, error) {
+    const run = apiStatusQueue.then(() => writeApiStatus(environment, path, error));
+    apiStatusQueue = run.catch(() => {});
+    return run;
+}
+
+async function writeApiStatus(environment, path, error) {
+    const { 'api-status': current = {} } = await chrome.storage.local.get('api-status');
+    const status = { ...current, environment };
+    if (error) {
+        status.lastError = {
+            path,
+            message: error.message,
+            status: error.status || null,
+            timestamp: new Date().toISOString()
+        };
+    } else {
+        status.lastSuccess = { path, timestamp: new Date().toISOString() };
+    }
+    await chrome.storage.local.set({ 'api-status': status });
+}
+
+/**
+ * Call the backend with timeout, retries and optional API key
+ * GET requests retry with exponential backoff; other methods only retry when asked to.
+ * Client errors other than 429 are never retried.
+ * @param {string} path - API path like '/calculate_offer'
+ * @param {object} options - { params, method, body, timeoutMs, retries }
+ * @returns {Promise<object>} - Parsed JSON response
+ * @throws {ApiError} - When every attempt failed
+ */
+async function apiRequest(path, options = {}) {
+    const method = options.method || 'GET';
+    const timeoutMs = options.timeoutMs || API_DEFAULT_TIMEOUT_MS;
+    const retries = options.retries ?? (method === 'GET' ? API_DEFAULT_RETRIES : 0);
+    const settings = await loadApiSettings();
+
+    const url = new URL(path, settings.baseUrl);
+    for (const [key, value] of Object.entries(options.params || {})) {
+        url.searchParams.set(key, value);
+    }
+
+    const headers = {};
+    if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+    if (settings.apiKey) {
+        headers['X-API-Key'] = settings.apiKey;
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const delay = API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+            console.warn(`[API] Retrying ${path} in ${delay}ms (${attempt}/${retries})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                lastError = new ApiError(`API returned ${response.status}: ${response.statusText}`, response.status);
+                if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+                    break;
+                }
+                continue;
+            }
+
+            const data = await response.json();
+            await reportApiStatus(settings.environment, path, null);
+            return data;
+        } catch (error) {
+            lastError = error.name === 'AbortError'
+                ? new ApiError(`Request timed out after ${timeoutMs}ms`)
+                : new ApiError(error.message);
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    console.error(`[API] ${method} ${path} failed (${settings.environment}):`, lastError.message);
+    await reportApiStatus(settings.environment, path, lastError);
+    throw lastError;
+}
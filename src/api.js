@@ -1,33 +1,47 @@
+/**
+ * Ask the backend for the offer to place
+ * @returns {Promise<number|null>} - Calculated price, null when the server could not be reached
+ * @throws {ApiError} - When the server refused the request, e.g. a missing or revoked API key
+ */
 async function getCalculatedOffer(tokenId, fmv, list, owner, bidders, prices, riskTaker) {
     const bidderList = bidders.length > 0 ? bidders.join(',') : '';
     // Sanitize prices to remove thousands separators before joining
     const sanitizedPrices = prices.map(p => p.replace(/,/g, ''));
     const priceList = sanitizedPrices.length > 0 ? sanitizedPrices.join(',') : '';
 
+    let offerData;
     try {
-        const offerResponse = await fetch(
-            `${API_BASE_URL}/calculate_offer?` +
-            `token_id=${encodeURIComponent(tokenId)}&` +
-            `fmv=${fmv}&` +
-            `list=${list}&` +
-            `owner=${encodeURIComponent(owner)}&` +
-            `bidders=${encodeURIComponent(bidderList)}&` +
-            `prices=${encodeURIComponent(priceList)}&` +
-            `risk_taker=${riskTaker}`
-        );
-
-        if (!offerResponse.ok) {
-            console.error('[ERROR] Failed to calculate offer:', offerResponse.statusText);
-            return 0;
+        offerData = await apiRequest('/calculate_offer', {
+            params: {
+                token_id: tokenId,
+                fmv,
+                list,
+                owner,
+                bidders: bidderList,
+                prices: priceList,
+                risk_taker: riskTaker
+            }
+        });
+    } catch (error) {
+        console.error('[ERROR] Failed to fetch calculated offer:', error.message);
+        if (!isApiUnavailable(error)) {
+            throw error;
         }
+        return null;
+    }
 
-        const offerData = await offerResponse.json();
-        console.log('[INFO] Calculated offer from server:', offerData.calculated_price);
-        return offerData.calculated_price;
-    } catch (error) {
-        console.error('[ERROR] Failed to fetch calculated offer:', error);
-        return 0;
+    // The backend answered, so a missing price is a backend bug rather than an outage; a local
+    // estimate would hide it
+    const calculatedPrice = offerData?.calculated_price;
+    if (typeof calculatedPrice !== 'number' || !Number.isFinite(calculatedPrice)) {
+        const error = new ApiError(`Malformed /calculate_offer response: calculated_price is ${JSON.stringify(calculatedPrice) ?? 'missing'}`);
+        console.error('[ERROR] Failed to fetch calculated offer:', error.message);
+        const { environment } = await loadApiSettings();
+        await reportApiStatus(environment, '/calculate_offer', error);
+        throw error;
     }
+    console.log('[INFO] Calculated offer from server:', calculatedPrice);
+    return calculatedPrice;
 }
 
 async function sendOffersToAPI(tokenId, bidders, prices, fmv) {
@@ -49,22 +63,14 @@ async function sendOffersToAPI(tokenId, bidders, prices, fmv) {
     }));
 
     try {
-        const response = await fetch(`${API_BASE_URL}/save_offers?token_id=${encodeURIComponent(tokenId)}`, {
+        const result = await apiRequest('/save_offers', {
             method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(offersData)
+            params: { token_id: tokenId },
+            body: offersData
         });
-
-        if (!response.ok) {
-            throw new Error(`[ERROR] API returned ${response.status}: ${response.statusText}`);
-        }
-
-        const result = await response.json();
         console.log("[API] Offers saved successfully:", result);
         return result;
     } catch (error) {
-        console.error("[API] Failed to send offers:", error);
+        console.error("[API] Failed to send offers:", error.message);
     }
 }
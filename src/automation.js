@@ -1,5 +1,12 @@
-async function executeAutoOffer(targetOffer, paths) {
-    console.log("%c[ACTION] Auto-Offer Triggered", "color: #3b82f6; font-weight: bold;");
+/**
+ * Run the Make Offer flow on the card page
+ * @param {number} targetOffer - Offer amount in USD
+ * @param {object} paths - XPaths from init()
+ * @param {object} options - { dryRun, tokenId, duration }; dryRun stops before confirming the offer
+ * @returns {Promise<string>} - 'placed', 'dry-run' or 'failed'
+ */
+async function executeAutoOffer(targetOffer, paths, options = {}) {
+    console.log("%c[ACTION] Auto-Offer Triggered", "color: #3b82f6; font-weight: bold;", options.dryRun ? "(dry run)" : "");
 
     const btn = getElementByXpath(paths.offerBtn, "Make Offer Button");
     if (btn) {
@@ -7,34 +14,32 @@ async function executeAutoOffer(targetOffer, paths) {
         console.log("Step 1: Clicked 'Make Offer'");
         let input;
         try {
-            input = await waitForXPath("//input[@placeholder='0.00']");
+            input = await waitForXPath(paths.priceInput);
             console.log("Found:", input);
         } catch (error) {
             console.error(error);
-            return;
+            return reportOfferFailure(error.message, targetOffer, options);
         }
 
         if (input) {
             setInputValue(input, targetOffer);
             console.log(`Step 2: Filled Price -> ${targetOffer}`);
             
-            // Click on 6 months
-            const dropdownButton = [...document.querySelectorAll('span')]
-                .find(el => el.textContent.trim() === '6 months');
-
-            dropdownButton?.click();
-
-            // Select 1 day
+            // Select the offer duration
+            const duration = options.duration || DEFAULT_OFFER_DURATION;
             try {
-                const option = await waitForElement(() =>
-                    [...document.querySelectorAll('span, div, li')]
-                        .find(el => el.textContent.trim() === '1 day')
-                );
-                option.scrollIntoView({ block: 'center' });
-                option.click();
-                console.log("Step 3: Selected '1 day' option");
+                await selectOfferDuration(duration, input.closest(SELECTORS.card.offerModal.value) || document);
+                console.log(`Step 3: Selected '${duration}' option`);
             } catch (error) {
-                console.error('Error selecting 1 day option:', error);
+                console.error('Error selecting offer duration:', error.message);
+                showError(error.message);
+                return reportOfferFailure(error.message, targetOffer, options);
+            }
+
+            if (options.dryRun) {
+                console.log(`%c[DRY RUN] Would have offered $${targetOffer.toFixed(2)} on token ${options.tokenId} for ${duration}`, "color: #f59e0b; font-weight: bold;");
+                showCompletion('#f59e0b');
+                return 'dry-run';
             }
 
             // Click on Confirm Offer - wait for it to be clickable
@@ -61,12 +66,76 @@ async function executeAutoOffer(targetOffer, paths) {
                     confirmBtn.click();
                     console.log("Step 4: Clicked 'Confirm Offer'");
                     showCompletion();
+                    sendRuntimeMessage({
+                        action: 'notify',
+                        type: 'offerPlaced',
+                        details: { tokenId: options.tokenId, amount: targetOffer, duration }
+                    });
+                    return 'placed';
                 } else {
                     console.error("Confirm Offer button is still disabled after retries");
+                    return reportOfferFailure('Confirm Offer button is still disabled after retries', targetOffer, options);
                 }
             } catch (error) {
                 console.error("Timeout waiting for Confirm Offer button:", error);
+                return reportOfferFailure('Timed out waiting for Confirm Offer button', targetOffer, options);
             }
         }
+        return reportOfferFailure('Offer price input not found', targetOffer, options);
     }
+    return reportOfferFailure('Make Offer button not found', targetOffer, options);
+}
+
+/**
+ * Send an offer-failed notification and return the 'failed' result
+ * @param {string} message - What went wrong
+ * @param {number} targetOffer - Offer amount in USD
+ * @param {object} options - executeAutoOffer() options
+ * @returns {string} - 'failed'
+ */
+function reportOfferFailure(message, targetOffer, options) {
+    sendRuntimeMessage({
+        action: 'notify',
+        type: 'offerFailed',
+        details: { tokenId: options.tokenId, amount: targetOffer, error: message }
+    });
+    return 'failed';
+}
+
+/**
+ * Pick the offer duration in the Make Offer modal
+ * Throws when the dropdown is missing or the site does not offer the duration
+ * @param {string} duration - Duration label like '1 day'
+ * @param {ParentNode} scope - Element containing the dropdown, usually the offer modal
+ */
+async function selectOfferDuration(duration, scope = document) {
+    const dropdownButton = [...scope.querySelectorAll('span')]
+        .find(el => OFFER_DURATION_PATTERN.test(el.textContent.trim()));
+
+    if (!dropdownButton) {
+        throw new Error('Offer duration dropdown not found');
+    }
+    if (dropdownButton.textContent.trim() === duration) {
+        return;
+    }
+
+    dropdownButton.click();
+
+    let option;
+    try {
+        option = await waitForElement(() =>
+            [...document.querySelectorAll('span, div, li')]
+                .find(el => el !== dropdownButton && el.textContent.trim() === duration)
+        );
+    } catch (error) {
+        const available = [...new Set(
+            [...document.querySelectorAll('span, div, li')]
+                .map(el => el.textContent.trim())
+                .filter(text => OFFER_DURATION_PATTERN.test(text))
+        )];
+        throw new Error(`Offer duration '${duration}' is not available. Site offers: ${available.join(', ') || 'none found'}`);
+    }
+
+    option.scrollIntoView({ block: 'center' });
+    option.click();
 }
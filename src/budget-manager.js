@@ -0,0 +1,230 @@
+// src/budget-manager.js
+/**
+ * Budget Manager Module
+ * Coordinates spending caps across every card tab that places offers
+ */
+
+import { getTokenKey } from './contracts.js';
+
+// null = no cap
+const DEFAULT_BUDGET_SETTINGS = {
+    maxPerCardOffer: null,
+    maxOpenExposure: null,
+    dailyOfferCount: null,
+    dailyOfferAmount: null
+};
+
+// Reservations that are never settled (tab closed mid-offer) expire after this
+const RESERVATION_TTL_MS = 2 * 60 * 1000;
+
+const DURATION_UNIT_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert an offer duration label to milliseconds
+ * @param {string} duration - Label like '1 day' or '3 months'
+ * @returns {number} - Duration in ms, defaults to one day for unknown labels
+ */
+function durationToMs(duration) {
+    const match = /^(\d+)\s+(hour|day|week|month|year)s?$/i.exec((duration || '').trim());
+    if (!match) {
+        return DURATION_UNIT_MS.day;
+    }
+    return parseInt(match[1], 10) * DURATION_UNIT_MS[match[2].toLowerCase()];
+}
+
+function todayKey() {
+    return new Date().toLocaleDateString('en-CA');
+}
+
+class BudgetManager {
+    constructor() {
+        this.state = null;
+        // Serializes reserve/settle calls so concurrent tabs can't overspend
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a state update after every previously queued update
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} - Result of fn
+     */
+    enqueue(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async loadState() {
+        if (!this.state) {
+            const result = await chrome.storage.local.get('budget-state');
+            this.state = result['budget-state'] || { reservations: {}, openOffers: {}, daily: null };
+        }
+
+        // Drop expired reservations and offers
+        const now = Date.now();
+        for (const [id, reservation] of Object.entries(this.state.reservations)) {
+            if (now - reservation.createdAt > RESERVATION_TTL_MS) {
+                delete this.state.reservations[id];
+            }
+        }
+        for (const [key, offer] of Object.entries(this.state.openOffers)) {
+            if (offer.expiresAt <= now) {
+                delete this.state.openOffers[key];
+            }
+        }
+        if (!this.state.daily || this.state.daily.date !== todayKey()) {
+            this.state.daily = { date: todayKey(), count: 0, amount: 0 };
+        }
+        return this.state;
+    }
+
+    async saveState() {
+        await chrome.storage.local.set({ 'budget-state': this.state });
+        await this.updateStorageStatus();
+    }
+
+    async getSettings() {
+        const result = await chrome.storage.local.get('budgetSettings');
+        return { ...DEFAULT_BUDGET_SETTINGS, ...result.budgetSettings };
+    }
+
+    /**
+     * Sum open offers and pending reservations
+     * @param {string} [excludeKey] - getTokenKey() of the token whose exposure is being replaced
+     * @returns {number}
+     */
+    getOpenExposure(excludeKey) {
+        const exposure = {}; // getTokenKey() -> amount
+        for (const [key, offer] of Object.entries(this.state.openOffers)) {
+            exposure[key] = offer.amount;
+        }
+        for (const reservation of Object.values(this.state.reservations)) {
+            exposure[reservation.key] = Math.max(exposure[reservation.key] || 0, reservation.amount);
+        }
+        delete exposure[excludeKey];
+        return Object.values(exposure).reduce((sum, amount) => sum + amount, 0);
+    }
+
+    /**
+     * Count pending reservations toward today's totals
+     * @returns {{count: number, amount: number}}
+     */
+    getDailyUsage() {
+        const pending = Object.values(this.state.reservations);
+        return {
+            count: this.state.daily.count + pending.length,
+            amount: this.state.daily.amount + pending.reduce((sum, r) => sum + r.amount, 0)
+        };
+    }
+
+    /**
+     * Reserve budget for an offer before it is placed
+     * @param {string} tokenId - Card token ID
+     * @param {number} amount - Offer amount in USD
+     * @param {string|null} [collectionId] - Collection the card belongs to; defaults to the built-in one
+     * @returns {Promise<{success: boolean, reservationId?: string, reason?: string}>}
+     */
+    reserve(tokenId, amount, collectionId) {
+        const key = getTokenKey(collectionId, tokenId);
+        return this.enqueue(async () => {
+            await this.loadState();
+            const settings = await this.getSettings();
+            const daily = this.getDailyUsage();
+
+            let reason = null;
+            if (settings.maxPerCardOffer !== null && amount > settings.maxPerCardOffer) {
+                reason = `Offer $${amount.toFixed(2)} exceeds per-card cap $${settings.maxPerCardOffer.toFixed(2)}`;
+            } else if (settings.maxOpenExposure !== null && this.getOpenExposure(key) + amount > settings.maxOpenExposure) {
+                reason = `Open exposure would exceed $${settings.maxOpenExposure.toFixed(2)}`;
+            } else if (settings.dailyOfferCount !== null && daily.count + 1 > settings.dailyOfferCount) {
+                reason = `Daily offer count cap (${settings.dailyOfferCount}) reached`;
+            } else if (settings.dailyOfferAmount !== null && daily.amount + amount > settings.dailyOfferAmount) {
+                reason = `Daily offer amount would exceed $${settings.dailyOfferAmount.toFixed(2)}`;
+            }
+
+            if (reason) {
+                console.log('[BudgetManager] Rejected reservation for token', tokenId, '-', reason);
+                return { success: false, reason };
+            }
+
+            const reservationId = `${tokenId}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            this.state.reservations[reservationId] = { tokenId, key, amount, createdAt: Date.now() };
+            await this.saveState();
+            console.log('[BudgetManager] Reserved $' + amount.toFixed(2), 'for token', tokenId);
+            return { success: true, reservationId };
+        });
+    }
+
+    /**
+     * Settle a reservation once executeAutoOffer() finished
+     * @param {string} reservationId - ID returned by reserve()
+     * @param {string} result - 'placed', 'dry-run' or 'failed'
+     * @param {string} duration - Offer duration label, used to expire the open offer
+     */
+    settle(reservationId, result, duration) {
+        return this.enqueue(async () => {
+            await this.loadState();
+            const reservation = this.state.reservations[reservationId];
+            if (!reservation) {
+                console.warn('[BudgetManager] Unknown or expired reservation:', reservationId);
+                return { success: false };
+            }
+            delete this.state.reservations[reservationId];
+
+            if (result === 'placed') {
+                this.state.openOffers[reservation.key] = {
+                    amount: reservation.amount,
+                    placedAt: Date.now(),
+                    expiresAt: Date.now() + durationToMs(duration)
+                };
+                this.state.daily.count += 1;
+                this.state.daily.amount += reservation.amount;
+                console.log('[BudgetManager] Committed $' + reservation.amount.toFixed(2), 'for token', reservation.tokenId);
+            } else {
+                console.log('[BudgetManager] Released reservation for token', reservation.tokenId, '- result:', result);
+            }
+
+            await this.saveState();
+            return { success: true };
+        });
+    }
+
+    /**
+     * Write remaining budget to chrome.storage for the popup
+     */
+    async updateStorageStatus() {
+        try {
+            await this.loadState();
+            const settings = await this.getSettings();
+            const exposure = this.getOpenExposure();
+            const daily = this.getDailyUsage();
+            const remaining = (cap, used) => cap === null ? null : Math.max(cap - used, 0);
+
+            await chrome.storage.local.set({
+                'budget-status': {
+                    settings,
+                    openExposure: exposure,
+                    openOffersCount: Object.keys(this.state.openOffers).length,
+                    dailyCount: daily.count,
+                    dailyAmount: daily.amount,
+                    remaining: {
+                        exposure: remaining(settings.maxOpenExposure, exposure),
+                        dailyCount: remaining(settings.dailyOfferCount, daily.count),
+                        dailyAmount: remaining(settings.dailyOfferAmount, daily.amount)
+                    },
+                    updatedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('[BudgetManager] Failed to update storage:', error);
+        }
+    }
+}
+
+export const budgetManager = new BudgetManager();
@@ -0,0 +1,24 @@
+/**
+ * Reserve budget with the service worker before placing an offer
+ * @param {string} tokenId - Card token ID
+ * @param {number} amount - Offer amount in USD
+ * @param {string|null} collection - Collection ID from the card URL; null is the built-in one
+ * @returns {Promise<{success: boolean, reservationId?: string, reason?: string}>}
+ */
+async function reserveBudget(tokenId, amount, collection) {
+    const response = await sendRuntimeMessage({ action: 'reserve-budget', tokenId, collection, amount });
+    if (!response) {
+        return { success: false, reason: 'Budget service unavailable' };
+    }
+    return response;
+}
+
+/**
+ * Commit or release a reservation after executeAutoOffer() finished
+ * @param {string} reservationId - ID returned by reserveBudget()
+ * @param {string} result - 'placed', 'dry-run' or 'failed'
+ * @param {string} duration - Offer duration label
+ */
+async function settleBudget(reservationId, result, duration) {
+    await sendRuntimeMessage({ action: 'settle-budget', reservationId, result, duration });
+}
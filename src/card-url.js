@@ -0,0 +1,55 @@
+// Card page URLs
+// The card page and the service worker's tab queue parse card URLs with the same functions.
+// Content scripts can't import, so the tab queue imports this classic script for its globals.
+
+/**
+ * Extract the token ID from a card page URL
+ * Card URLs end in the token ID (see cardUrlTemplate in contracts.js).
+ * @param {string} url - URL like https://www.renaiss.xyz/card/123, or a path like /card/123
+ * @returns {string|null}
+ */
+function getTokenIdFromUrl(url) {
+    try {
+        return new URL(url, 'https://www.renaiss.xyz').pathname.split('/').filter(Boolean).pop() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract the transfer that opened this card page, if any
+ * @param {string} url - URL like https://www.renaiss.xyz/card/123#renaiss-transfer=0xabc
+ * @returns {string|null} - Transaction hash
+ */
+function getTransferTxHashFromUrl(url) {
+    return new URLSearchParams(new URL(url).hash.slice(1)).get("renaiss-transfer");
+}
+
+/**
+ * Extract the collection of the card page; only cards outside the built-in collection carry one
+ * @param {string} url - URL like https://www.renaiss.xyz/card/123#renaiss-collection=my-cards
+ * @returns {string|null} - Collection ID, or null for the built-in collection
+ */
+function getCollectionFromUrl(url) {
+    return new URLSearchParams(new URL(url).hash.slice(1)).get("renaiss-collection");
+}
+
+/**
+ * Add the card's collection to a card page URL, next to any transfer hash already there
+ * @param {string} url - Card page URL
+ * @param {string} collectionId - Collection ID
+ * @returns {string}
+ */
+function addCollectionToUrl(url, collectionId) {
+    const parsed = new URL(url);
+    const params = new URLSearchParams(parsed.hash.slice(1));
+    params.set("renaiss-collection", collectionId);
+    parsed.hash = params.toString();
+    return parsed.toString();
+}
+
+// As an ES module import the declarations above stay module-scoped; the tab queue reads these
+globalThis.getTokenIdFromUrl = getTokenIdFromUrl;
+globalThis.getTransferTxHashFromUrl = getTransferTxHashFromUrl;
+globalThis.getCollectionFromUrl = getCollectionFromUrl;
+globalThis.addCollectionToUrl = addCollectionToUrl;
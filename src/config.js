@@ -1,2 +1,14 @@
 // Configuration
-const API_BASE_URL = 'https://api-renaiss-bid-bot.thisisallyouneed.com';
+// Backend environments, selected in the popup and stored as `apiEnvironment`
+const API_ENVIRONMENTS = {
+    prod: { label: 'Production', baseUrl: 'https://api-renaiss-bid-bot.thisisallyouneed.com' },
+    staging: { label: 'Staging', baseUrl: 'https://staging-api-renaiss-bid-bot.thisisallyouneed.com' },
+    local: { label: 'Local', baseUrl: 'https://localhost:8000' }
+};
+const DEFAULT_API_ENVIRONMENT = 'prod';
+
+// Offer durations shown by the Make Offer modal
+const OFFER_DURATIONS = ['1 day', '3 days', '7 days', '1 month', '3 months', '6 months'];
+const DEFAULT_OFFER_DURATION = '1 day';
+// Matches any duration label, used to detect the dropdown and report what the site offers
+const OFFER_DURATION_PATTERN = /^\d+\s+(hour|day|week|month|year)s?$/i;
@@ -0,0 +1,181 @@
+// src/contracts.js
+/**
+ * Network and Collection Registry
+ * Chains the extension can connect to and the NFT collections it can watch on them.
+ * Users pick the active network and which collections to watch in the popup
+ * (networkSettings); custom collections cover deployments not listed here, e.g. on testnet.
+ */
+
+// ERC721 and ERC20 Transfer share a signature: Transfer(address indexed from, address indexed to, uint256 ...)
+// Topic0 = keccak256("Transfer(address,address,uint256)")
+// ERC721 logs carry 4 topics (tokenId is indexed), ERC20 logs carry 3 (amount is in data)
+export const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+export const DEFAULT_NETWORK_ID = 'bsc';
+export const DEFAULT_COLLECTION_ID = 'renaiss';
+
+/**
+ * Built-in endpoint pools per network; users add, remove or disable their own from the popup
+ * (see getEndpointPools in ws-config.js)
+ */
+export const NETWORKS = {
+    bsc: {
+        id: 'bsc',
+        name: 'BNB Smart Chain',
+        chainId: 56,
+        wsEndpoints: [
+            'wss://bsc-rpc.publicnode.com',
+            'wss://bsc.drpc.org',
+            'wss://bsc.callstaticrpc.com'
+        ],
+        httpEndpoints: [
+            'https://bsc-mainnet.public.blastapi.io',
+            'https://binance.llamarpc.com',
+            'https://bsc.rpc.blxrbdn.com',
+            'https://api.zan.top/bsc-mainnet',
+            'https://bsc-dataseed.binance.org/'
+        ]
+    },
+    'bsc-testnet': {
+        id: 'bsc-testnet',
+        name: 'BNB Smart Chain Testnet',
+        chainId: 97,
+        wsEndpoints: [
+            'wss://bsc-testnet-rpc.publicnode.com'
+        ],
+        httpEndpoints: [
+            'https://bsc-testnet-rpc.publicnode.com',
+            'https://data-seed-prebsc-1-s1.bnbchain.org:8545'
+        ]
+    },
+    // Anvil or Hardhat node on the default port, for running the listener against a dev chain
+    local: {
+        id: 'local',
+        name: 'Local dev node',
+        chainId: 31337,
+        wsEndpoints: [
+            'ws://127.0.0.1:8545'
+        ],
+        httpEndpoints: [
+            'http://127.0.0.1:8545'
+        ]
+    }
+};
+
+/**
+ * Addresses are lowercase so RPC filters and receipt comparisons match.
+ * The payment token is what sales and offers are paid in; without one, sale prices are not decoded.
+ */
+export const COLLECTIONS = {
+    renaiss: {
+        id: 'renaiss',
+        name: 'Renaiss',
+        network: 'bsc',
+        nftContract: '0xf8646a3ca093e97bb404c3b25e675c0394dd5b30',
+        marketplaceContract: '0xae3e7268ef5a062946216a44f58a8f685ffd11d0',
+        paymentToken: { address: '0x55d398326f99059ff775485246999027b3197955', decimals: 18 }, // BSC-USD
+        cardUrlTemplate: 'https://www.renaiss.xyz/card/{tokenId}'
+    }
+};
+
+/**
+ * Normalize a user-defined collection from networkSettings.custom
+ * @param {object} collection - { id, name, network, nftContract, marketplaceContract, paymentToken, cardUrlTemplate }
+ * @returns {object}
+ */
+function toCustomCollection(collection) {
+    const lower = address => (address ? address.toLowerCase() : null);
+    return {
+        ...collection,
+        nftContract: lower(collection.nftContract),
+        marketplaceContract: lower(collection.marketplaceContract),
+        paymentToken: collection.paymentToken?.address
+            ? { address: lower(collection.paymentToken.address), decimals: collection.paymentToken.decimals ?? 18 }
+            : null,
+        cardUrlTemplate: collection.cardUrlTemplate || COLLECTIONS[DEFAULT_COLLECTION_ID].cardUrlTemplate,
+        custom: true
+    };
+}
+
+/**
+ * Fill in defaults for stored networkSettings; the popup uses it too
+ * @param {object} [networkSettings] - { network, collections: [id], custom: [collection] }
+ * @returns {object}
+ */
+export function withNetworkDefaults(networkSettings = {}) {
+    return {
+        ...networkSettings,
+        network: networkSettings.network || DEFAULT_NETWORK_ID,
+        collections: networkSettings.collections || [DEFAULT_COLLECTION_ID],
+        custom: networkSettings.custom || []
+    };
+}
+
+/**
+ * networkSettings: { network, collections: [id], custom: [collection] }
+ * @returns {Promise<object>}
+ */
+async function getNetworkSettings() {
+    const { networkSettings } = await chrome.storage.local.get('networkSettings');
+    return withNetworkDefaults(networkSettings);
+}
+
+/**
+ * Built-in and custom collections by ID
+ * @returns {Promise<object>}
+ */
+export async function getAllCollections() {
+    const settings = await getNetworkSettings();
+    const all = { ...COLLECTIONS };
+    for (const collection of settings.custom) {
+        all[collection.id] = toCustomCollection(collection);
+    }
+    return all;
+}
+
+/**
+ * @returns {Promise<object>} - Entry of NETWORKS the listener connects to
+ */
+export async function getActiveNetwork() {
+    const settings = await getNetworkSettings();
+    return NETWORKS[settings.network] || NETWORKS[DEFAULT_NETWORK_ID];
+}
+
+/**
+ * Enabled collections on the active network
+ * @returns {Promise<object[]>}
+ */
+export async function getWatchedCollections() {
+    const [settings, network, all] = await Promise.all([getNetworkSettings(), getActiveNetwork(), getAllCollections()]);
+    return settings.collections
+        .map(id => all[id])
+        .filter(collection => collection && collection.network === network.id && collection.nftContract);
+}
+
+/**
+ * @param {string} [collectionId] - Defaults to the built-in collection
+ * @returns {Promise<object|null>}
+ */
+export async function getCollection(collectionId) {
+    const all = await getAllCollections();
+    return all[collectionId || DEFAULT_COLLECTION_ID] || null;
+}
+
+/**
+ * Key for per-token state, so the same token ID in two collections stays apart
+ * @param {string} [collectionId] - Defaults to the built-in collection
+ * @param {string} tokenId - Token ID
+ * @returns {string} - 'collectionId:tokenId'
+ */
+export function getTokenKey(collectionId, tokenId) {
+    return `${collectionId || DEFAULT_COLLECTION_ID}:${tokenId}`;
+}
+
+/**
+ * @param {object} collection - Registry entry
+ * @param {string} tokenId - Token ID
+ * @returns {string} - Card page URL
+ */
+export function getCardUrl(collection, tokenId) {
+    return collection.cardUrlTemplate.replace('{tokenId}', tokenId);
+}
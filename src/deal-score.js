@@ -0,0 +1,138 @@
+/**
+ * Deal Score
+ * Rates a listing from 0 to 100 by combining its discount to FMV, the last trade, open offers
+ * on the card and the FMV trend. 50 is neutral. Shared by the popup and the marketplace analyzer.
+ */
+
+const DEFAULT_DEAL_SCORE_SETTINGS = {
+    weights: {
+        discount: 0.5,   // Listing price below FMV
+        lastTrade: 0.2,  // Last sale above the listing price
+        offers: 0.1,     // Open offers on the card, read as demand
+        trend: 0.2       // FMV rising over the last week
+    },
+    goodDealScore: 65,   // At or above: good deal
+    overpricedScore: 35  // At or below: overpriced
+};
+
+// Factor values that count as the strongest possible signal
+const DEAL_FACTOR_SCALES = {
+    discount: 0.3,   // 30% below FMV
+    lastTrade: 0.3,  // Last sale 30% above the listing
+    offers: 5,       // 5 open offers
+    trend: 0.1       // FMV up 10%
+};
+
+const DEAL_FACTOR_LABELS = {
+    discount: 'Discount to FMV',
+    lastTrade: 'Last trade',
+    offers: 'Open offers',
+    trend: 'FMV trend'
+};
+
+// Why a factor can be missing, shown in the tooltip when it is left out
+const DEAL_FACTOR_MISSING_REASONS = {
+    lastTrade: 'no recorded sale',
+    offers: 'only counted for cards whose page was opened in the last week',
+    trend: 'no earlier FMV this week'
+};
+
+function loadDealScoreSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get('dealScoreSettings', (result) => {
+            const saved = result.dealScoreSettings || {};
+            resolve({
+                ...DEFAULT_DEAL_SCORE_SETTINGS,
+                ...saved,
+                weights: { ...DEFAULT_DEAL_SCORE_SETTINGS.weights, ...saved.weights }
+            });
+        });
+    });
+}
+
+function clampSignal(value) {
+    return Math.max(-1, Math.min(1, value));
+}
+
+function formatSignedPct(fraction) {
+    const pct = fraction * 100;
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+}
+
+/**
+ * Score a listing
+ * Factors without data are left out and the remaining weights are rescaled.
+ * @param {object} inputs - { listingPrice, fmv, lastSalePrice, offerCount, fmvTrend }; unknown values are null
+ * @param {object} settings - From loadDealScoreSettings()
+ * @returns {object} - { score, discount, verdict, factors: [{ key, label, detail, signal, weight, points }], missing: [{ key, label, reason }] }
+ */
+function calculateDealScore(inputs, settings) {
+    const discount = (inputs.fmv - inputs.listingPrice) / inputs.fmv;
+    const factors = [{
+        key: 'discount',
+        detail: `${formatSignedPct(-discount)} vs FMV $${inputs.fmv.toFixed(2)}`,
+        signal: clampSignal(discount / DEAL_FACTOR_SCALES.discount)
+    }];
+
+    if (inputs.lastSalePrice > 0) {
+        const upside = (inputs.lastSalePrice - inputs.listingPrice) / inputs.listingPrice;
+        factors.push({
+            key: 'lastTrade',
+            detail: `$${inputs.lastSalePrice.toFixed(2)} (${formatSignedPct(upside)} vs listing)`,
+            signal: clampSignal(upside / DEAL_FACTOR_SCALES.lastTrade)
+        });
+    }
+    if (typeof inputs.offerCount === 'number') {
+        factors.push({
+            key: 'offers',
+            detail: `${inputs.offerCount} open`,
+            signal: Math.min(inputs.offerCount / DEAL_FACTOR_SCALES.offers, 1)
+        });
+    }
+    if (typeof inputs.fmvTrend === 'number') {
+        factors.push({
+            key: 'trend',
+            detail: `${formatSignedPct(inputs.fmvTrend)} this week`,
+            signal: clampSignal(inputs.fmvTrend / DEAL_FACTOR_SCALES.trend)
+        });
+    }
+
+    const totalWeight = factors.reduce((sum, factor) => sum + (settings.weights[factor.key] || 0), 0);
+    const scored = factors.map(factor => {
+        const weight = settings.weights[factor.key] || 0;
+        return {
+            ...factor,
+            label: DEAL_FACTOR_LABELS[factor.key],
+            weight,
+            points: totalWeight > 0 ? (50 * factor.signal * weight) / totalWeight : 0
+        };
+    });
+
+    // Weighted factors that had no data, so the badge can say the score stands without them
+    const missing = Object.keys(DEAL_FACTOR_MISSING_REASONS)
+        .filter(key => settings.weights[key] > 0 && !factors.some(factor => factor.key === key))
+        .map(key => ({ key, label: DEAL_FACTOR_LABELS[key], reason: DEAL_FACTOR_MISSING_REASONS[key] }));
+
+    const score = Math.round(Math.max(0, Math.min(100, 50 + scored.reduce((sum, factor) => sum + factor.points, 0))));
+    let verdict = 'Fair Price';
+    if (score >= settings.goodDealScore) {
+        verdict = 'Good Deal';
+    } else if (score <= settings.overpricedScore) {
+        verdict = 'Overpriced';
+    }
+    return { score, discount, verdict, factors: scored, missing };
+}
+
+/**
+ * Multi-line breakdown for the badge tooltip
+ * @param {object} result - From calculateDealScore()
+ * @returns {string}
+ */
+function describeDealScore(result) {
+    const lines = result.factors.map(factor => {
+        const points = Math.round(factor.points);
+        return `${factor.label}: ${factor.detail} → ${points >= 0 ? '+' : ''}${points}`;
+    });
+    const missing = result.missing.map(factor => `${factor.label}: unknown, left out (${factor.reason})`);
+    return [`Deal score ${result.score}/100 (${result.verdict})`, ...lines, ...missing].join('\n');
+}
@@ -1,6 +1,7 @@
-function getOwner() {
-    const ownerSpans = [...document.querySelectorAll('span')]
-        .filter(span => span.textContent.trim() === 'Owned by');
+// Scrapers take the document to read from so saved page fixtures can be scraped offline
+
+function getOwner(root = document) {
+    const ownerSpans = findAllBySelector(SELECTORS.card.ownerLabel, root);
     const owner = ownerSpans
         .map(span =>
             span
@@ -12,16 +13,15 @@ function getOwner() {
     return owner;
 }
 
-function getAllOffers() {
-    const offerSpans = [...document.querySelectorAll('span')]
-        .filter(span => span.textContent.trim() === 'offer');
+function getAllOffers(root = document) {
+    const offerSpans = findAllBySelector(SELECTORS.card.offerLabel, root);
 
     const bidders = offerSpans
         .map(span =>
             span
                 .closest('div')                // div containing "offer"
                 ?.nextElementSibling           // next sibling div
-                ?.querySelector('div > div > span:nth-of-type(2)')
+                ?.querySelector(SELECTORS.card.offerBidder.value)
                 ?.textContent
         )
         .filter(Boolean);                  // remove nulls
@@ -39,15 +39,27 @@ function getAllOffers() {
         )
         .filter(Boolean);                  // remove nulls
 
-    console.log(bidders);
-    console.log(prices);
     return { bidders, prices };
 }
 
+/**
+ * Read the listing price and FMV from a card page
+ * @param {Document} root - Card page document
+ * @returns {{list: number, fmv: number}}
+ */
+function getCardPrices(root = document) {
+    const listEl = getElementByXpath(SELECTORS.card.listPrice.value, "list Price Element", root);
+    const list = listEl ? safeParse(listEl.textContent.replace(/[^0-9.]/g, '')) : 0;
+    const fmvEl = getElementByXpath(SELECTORS.card.fmv.value, "FMV Price Element", root);
+    const fmv = fmvEl ? safeParse(fmvEl.textContent.replace(/[^0-9.]/g, '')) : 0;
+    return { list, fmv };
+}
+
 
 // --- Helper: XPath Fetcher with Logging ---
-function getElementByXpath(path, description) {
-    const element = document.evaluate(path, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+function getElementByXpath(path, description, root = document) {
+    const doc = root.ownerDocument || root;
+    const element = doc.evaluate(path, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
 
     if (element) {
         console.log(`%c[FOUND] ${description}:`, 'color: #4ade80; font-weight: bold;', element);
@@ -0,0 +1,310 @@
+// src/endpoint-health.js
+/**
+ * Endpoint Health Module
+ * Scores RPC endpoints by latency, error rate and head-block lag, and picks the healthiest one
+ */
+
+import { NETWORKS, getActiveNetwork } from './contracts.js';
+import { getEndpointPools } from './ws-config.js';
+
+// Outcomes kept per endpoint for the error rate
+const HEALTH_WINDOW = 20;
+// Weight of the newest latency sample in the moving average
+const LATENCY_SMOOTHING = 0.3;
+// Probe every enabled endpoint this often while the listener runs
+const PROBE_INTERVAL_MS = 5 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+// Scores are written to storage at most this often
+const SAVE_DEBOUNCE_MS = 10 * 1000;
+// Endpoints with no data yet score here so they still get tried
+const UNTESTED_SCORE = 60;
+
+class EndpointHealth {
+    constructor() {
+        this.stats = {}; // url -> { outcomes, latencyMs, headBlock, lag, lastError, lastCheckedAt }, for networkId
+        this.networkId = null; // Stored under 'endpoint-health' by network, so switching back keeps the old scores
+        this.saveTimeout = null;
+        this.probeIntervalHandle = null;
+        this.recordedErrors = new WeakSet(); // Errors already counted by measure()
+    }
+
+    // Loads the active network's stats, stashing the previous network's when it changed
+    async load() {
+        const network = await getActiveNetwork();
+        if (network.id === this.networkId) {
+            return;
+        }
+        const { 'endpoint-health': saved = {} } = await chrome.storage.local.get('endpoint-health');
+        if (this.networkId === null) {
+            this.stats = { ...saved[network.id], ...this.stats }; // Keep outcomes recorded before the first load
+        } else {
+            await chrome.storage.local.set({ 'endpoint-health': { ...saved, [this.networkId]: this.stats } });
+            this.stats = { ...saved[network.id] };
+        }
+        this.networkId = network.id;
+    }
+
+    getStats(url) {
+        if (!this.stats[url]) {
+            this.stats[url] = { outcomes: [], latencyMs: null, headBlock: null, lag: null, lastError: null, lastCheckedAt: null };
+        }
+        return this.stats[url];
+    }
+
+    /**
+     * Record a successful call
+     * @param {string} url - Endpoint URL
+     * @param {number} latencyMs - Round trip time
+     * @param {number} [headBlock] - Block number the endpoint reported, when the call returned one
+     */
+    recordSuccess(url, latencyMs, headBlock) {
+        const stats = this.getStats(url);
+        stats.outcomes = [...stats.outcomes, true].slice(-HEALTH_WINDOW);
+        stats.latencyMs = stats.latencyMs === null
+            ? latencyMs
+            : Math.round(stats.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+        if (headBlock !== undefined) {
+            stats.headBlock = headBlock;
+        }
+        stats.lastCheckedAt = new Date().toISOString();
+        this.scheduleSave();
+    }
+
+    /**
+     * Record a failed call
+     * @param {string} url - Endpoint URL
+     * @param {Error|string} error - What went wrong
+     */
+    recordError(url, error) {
+        // Callers may record an error that measure() already counted on its way up
+        if (error instanceof Error) {
+            if (this.recordedErrors.has(error)) {
+                return;
+            }
+            this.recordedErrors.add(error);
+        }
+        const stats = this.getStats(url);
+        stats.outcomes = [...stats.outcomes, false].slice(-HEALTH_WINDOW);
+        stats.lastError = error?.message || String(error);
+        stats.lastCheckedAt = new Date().toISOString();
+        this.scheduleSave();
+    }
+
+    /**
+     * Time a call against an endpoint and record the outcome
+     * @param {string} url - Endpoint URL
+     * @param {Function} call - Async function to run
+     * @param {boolean} returnsHead - True when the call resolves to a block number
+     * @returns {Promise<*>} - The call's result; errors are recorded and rethrown
+     */
+    async measure(url, call, returnsHead = false) {
+        const startedAt = Date.now();
+        try {
+            const result = await call();
+            this.recordSuccess(url, Date.now() - startedAt, returnsHead ? Number(result) : undefined);
+            return result;
+        } catch (error) {
+            this.recordError(url, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Measure lag against the highest head of one probe round
+     * Heads from other calls are left out: the active endpoint reports one every few seconds, and
+     * comparing it with heads probed minutes earlier would rate every other endpoint as behind.
+     * @param {object} heads - url -> head block, for the endpoints that answered the round
+     */
+    updateLag(heads) {
+        const bestHead = Math.max(...Object.values(heads));
+        for (const [url, stats] of Object.entries(this.stats)) {
+            stats.lag = heads[url] !== undefined ? bestHead - heads[url] : null;
+        }
+    }
+
+    /**
+     * Health score from 0 to 100
+     * @param {string} url - Endpoint URL
+     * @returns {number}
+     */
+    getScore(url) {
+        const stats = this.stats[url];
+        if (!stats || stats.outcomes.length === 0) {
+            return UNTESTED_SCORE;
+        }
+        const errorRate = stats.outcomes.filter(ok => !ok).length / stats.outcomes.length;
+        const latencyPenalty = stats.latencyMs !== null ? Math.min(stats.latencyMs / 50, 20) : 0;
+        const lagPenalty = stats.lag !== null ? Math.min(stats.lag * 5, 20) : 0;
+        return Math.max(0, Math.round(100 - errorRate * 60 - latencyPenalty - lagPenalty));
+    }
+
+    /**
+     * Pick the healthiest enabled endpoint of a type
+     * @param {string} type - 'ws' or 'http'
+     * @param {string[]} exclude - URLs to skip, e.g. the one that just failed
+     * @returns {Promise<string|null>} - Endpoint URL, or null when none are enabled
+     */
+    async pick(type, exclude = []) {
+        await this.load();
+        const pools = await getEndpointPools();
+        const enabled = pools[type].filter(endpoint => !endpoint.disabled);
+        const candidates = enabled.filter(endpoint => !exclude.includes(endpoint.url));
+        const pool = candidates.length > 0 ? candidates : enabled;
+        if (pool.length === 0) {
+            return null;
+        }
+        const best = pool.reduce((a, b) => (this.getScore(b.url) > this.getScore(a.url) ? b : a));
+        console.log('[EndpointHealth] Picked', type, 'endpoint', best.url, 'score', this.getScore(best.url));
+        return best.url;
+    }
+
+    /**
+     * Ask one endpoint for its head block
+     * @param {object} endpoint - { url, type }
+     * @returns {Promise<number>}
+     */
+    async requestHead(endpoint) {
+        const payload = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+
+        if (endpoint.type === 'http') {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+            try {
+                const response = await fetch(endpoint.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: payload,
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                const data = await response.json();
+                if (data.error) {
+                    throw new Error(data.error.message);
+                }
+                return parseInt(data.result, 16);
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(endpoint.url);
+            const timeout = setTimeout(() => {
+                socket.close();
+                reject(new Error(`Timed out after ${PROBE_TIMEOUT_MS}ms`));
+            }, PROBE_TIMEOUT_MS);
+            socket.addEventListener('open', () => socket.send(payload));
+            socket.addEventListener('message', (message) => {
+                clearTimeout(timeout);
+                socket.close();
+                try {
+                    const data = JSON.parse(message.data);
+                    if (data.error) {
+                        reject(new Error(data.error.message));
+                    } else {
+                        resolve(parseInt(data.result, 16));
+                    }
+                } catch (error) {
+                    reject(error);
+                }
+            });
+            socket.addEventListener('error', () => {
+                clearTimeout(timeout);
+                reject(new Error('WebSocket error'));
+            });
+        });
+    }
+
+    /**
+     * Probe every enabled endpoint for latency and head block
+     */
+    async probeAll() {
+        await this.load();
+        const pools = await getEndpointPools();
+        const endpoints = [...pools.ws, ...pools.http].filter(endpoint => !endpoint.disabled);
+        console.log('[EndpointHealth] Probing', endpoints.length, 'endpoint(s)');
+
+        const heads = {};
+        await Promise.all(endpoints.map(endpoint =>
+            this.measure(endpoint.url, () => this.requestHead(endpoint), true).then((head) => {
+                heads[endpoint.url] = Number(head);
+            }, (error) => {
+                console.warn('[EndpointHealth] Probe failed for', endpoint.url, '-', error.message);
+            })
+        ));
+        if (Object.keys(heads).length > 0) {
+            this.updateLag(heads);
+        }
+        await this.save();
+    }
+
+    startProbing() {
+        if (this.probeIntervalHandle) {
+            return;
+        }
+        this.probeIntervalHandle = setInterval(() => this.probeAll(), PROBE_INTERVAL_MS);
+        this.probeAll();
+    }
+
+    stopProbing() {
+        if (this.probeIntervalHandle) {
+            clearInterval(this.probeIntervalHandle);
+            this.probeIntervalHandle = null;
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) {
+            return;
+        }
+        this.saveTimeout = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Persist scores and write the endpoint list for the popup
+     */
+    async save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        try {
+            await this.load();
+            const pools = await getEndpointPools();
+            const known = new Set([...pools.ws, ...pools.http].map(endpoint => endpoint.url));
+            for (const url of Object.keys(this.stats)) {
+                if (!known.has(url)) {
+                    delete this.stats[url]; // Removed custom endpoint
+                }
+            }
+            const endpoints = [...pools.ws, ...pools.http].map(endpoint => {
+                const stats = this.stats[endpoint.url];
+                const outcomes = stats?.outcomes || [];
+                return {
+                    ...endpoint,
+                    score: this.getScore(endpoint.url),
+                    latencyMs: stats?.latencyMs ?? null,
+                    errorRate: outcomes.length > 0 ? outcomes.filter(ok => !ok).length / outcomes.length : null,
+                    lag: stats?.lag ?? null,
+                    lastError: stats?.lastError || null,
+                    lastCheckedAt: stats?.lastCheckedAt || null
+                };
+            });
+
+            // Other networks' stats are kept as saved; keys that are not networks predate this layout
+            const { 'endpoint-health': saved = {} } = await chrome.storage.local.get('endpoint-health');
+            const byNetwork = Object.fromEntries(Object.entries(saved).filter(([networkId]) => NETWORKS[networkId]));
+            await chrome.storage.local.set({
+                'endpoint-health': { ...byNetwork, [this.networkId]: this.stats },
+                'endpoint-health-status': {
+                    endpoints,
+                    updatedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('[EndpointHealth] Failed to update storage:', error);
+        }
+    }
+}
+
+export const endpointHealth = new EndpointHealth();
@@ -0,0 +1,99 @@
+// src/fmv-cache.js
+/**
+ * FMV Cache Module
+ * FMVs and card names read from marketplace tiles, with a short FMV history per token. The transfer
+ * filter reads them for its min-FMV and watchlist-name rules, the deal score for its trend factor.
+ */
+
+import { getTokenKey } from './contracts.js';
+
+// An FMV older than this is too stale for the transfer rules
+const FMV_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const FMV_CACHE_MAX_TOKENS = 2000;
+// FMV changes kept per token for the deal score's trend factor; tokens stay cached this long
+const FMV_TREND_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const FMV_HISTORY_POINTS = 10;
+
+class FmvCache {
+    constructor() {
+        // Serializes read-modify-write updates so marketplace tabs caching at once don't overwrite each other
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a cache update after every previously queued update
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} - Result of fn
+     */
+    enqueue(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        const { 'fmv-cache': cache = {} } = await chrome.storage.local.get('fmv-cache');
+        return cache;
+    }
+
+    /**
+     * Remember FMVs and card names read from marketplace tiles
+     * @param {{tokenId: string, fmv: number, name: string, collection?: string}[]} entries - collection defaults to the built-in one
+     */
+    record(entries) {
+        return this.enqueue(async () => {
+            const cache = await this.load();
+            const now = Date.now();
+            for (const { tokenId, fmv, name, collection } of entries) {
+                const key = getTokenKey(collection, tokenId);
+                const history = (cache[key]?.history || []).filter(point => now - point.seenAt <= FMV_TREND_WINDOW_MS);
+                if (history.length === 0 || history[history.length - 1].fmv !== fmv) {
+                    history.push({ fmv, seenAt: now });
+                }
+                cache[key] = { fmv, name, seenAt: now, history: history.slice(-FMV_HISTORY_POINTS) };
+            }
+            // Tokens outlive the FMV freshness check so the trend can span days without a scan
+            for (const [key, entry] of Object.entries(cache)) {
+                if (now - entry.seenAt > FMV_TREND_WINDOW_MS) {
+                    delete cache[key];
+                }
+            }
+            const keys = Object.keys(cache);
+            if (keys.length > FMV_CACHE_MAX_TOKENS) {
+                keys
+                    .sort((a, b) => cache[a].seenAt - cache[b].seenAt)
+                    .slice(0, keys.length - FMV_CACHE_MAX_TOKENS)
+                    .forEach(key => delete cache[key]);
+            }
+            await chrome.storage.local.set({ 'fmv-cache': cache });
+        });
+    }
+
+    /**
+     * @param {string} tokenId - Card token ID
+     * @param {string} [collectionId] - Defaults to the built-in collection
+     * @returns {Promise<object|null>} - { fmv, name, seenAt, history }, or null when not seen in the last day
+     */
+    async getTile(tokenId, collectionId) {
+        const entry = (await this.load())[getTokenKey(collectionId, tokenId)];
+        return entry && Date.now() - entry.seenAt <= FMV_CACHE_MAX_AGE_MS ? entry : null;
+    }
+
+    /**
+     * FMV change over the trend window, from the oldest recorded point to the current FMV
+     * @param {string} tokenId - Card token ID
+     * @param {string} [collectionId] - Defaults to the built-in collection
+     * @returns {Promise<number|null>} - Fractional change, or null without an earlier FMV
+     */
+    async getTrend(tokenId, collectionId) {
+        // Not getTile(): the trend still counts a week-old history when the current FMV is past its freshness
+        const entry = (await this.load())[getTokenKey(collectionId, tokenId)];
+        const history = (entry?.history || []).filter(point => Date.now() - point.seenAt <= FMV_TREND_WINDOW_MS);
+        if (history.length < 2 || history[0].fmv <= 0) {
+            return null;
+        }
+        return (entry.fmv - history[0].fmv) / history[0].fmv;
+    }
+}
+
+export const fmvCache = new FmvCache();
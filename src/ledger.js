@@ -0,0 +1,10 @@
+/**
+ * Record an auto-offer decision in the service worker's offer ledger
+ * @param {object} entry - Token, prices, decision and result of the run
+ */
+async function recordLedgerEntry(entry) {
+    const response = await sendRuntimeMessage({ action: 'ledger-record', entry });
+    if (!response || !response.success) {
+        console.error('[LEDGER] Failed to record entry:', response?.message, entry);
+    }
+}
@@ -0,0 +1,96 @@
+// src/log-chunks.js
+/**
+ * Adaptive getLogs Ranges
+ * RPC endpoints cap the block range and result size of one getLogs call and rate-limit bursts.
+ * A LogChunker halves its range on those errors and grows back after a run of successes;
+ * the transfer listener and the on-chain offer reader both page through logs with one.
+ */
+
+const DEFAULT_LOG_CHUNK_BLOCKS = 2000;
+const MIN_LOG_CHUNK_BLOCKS = 10;
+const MAX_LOG_CHUNK_BLOCKS = 5000;
+const CHUNK_GROWTH_STREAK = 3;
+const MAX_CHUNK_RETRIES = 6;
+const RATE_LIMIT_BASE_DELAY_MS = 1000;
+
+/**
+ * Tell apart getLogs errors that a smaller range or a pause can fix
+ * @param {Error} error - Error from getLogs
+ * @returns {string|null} - 'rate-limit', 'range' or null for anything else
+ */
+function classifyLogError(error) {
+    const message = `${error.message} ${error.error?.message || ''}`.toLowerCase();
+    if (/rate limit|too many requests|429|exceeded.*(quota|capacity)|request limit/.test(message)) {
+        return 'rate-limit';
+    }
+    if (/range|too large|too many (logs|results|blocks)|limit exceeded|response size|query returned more than/.test(message)) {
+        return 'range';
+    }
+    return null;
+}
+
+export class LogChunker {
+    constructor() {
+        this.size = DEFAULT_LOG_CHUNK_BLOCKS;
+        this.successStreak = 0;
+    }
+
+    /**
+     * Grow back towards the maximum once chunks keep succeeding
+     */
+    succeeded() {
+        this.successStreak++;
+        if (this.successStreak >= CHUNK_GROWTH_STREAK && this.size < MAX_LOG_CHUNK_BLOCKS) {
+            this.size = Math.min(MAX_LOG_CHUNK_BLOCKS, Math.floor(this.size * 1.5));
+            this.successStreak = 0;
+        }
+    }
+
+    /**
+     * Shrink the range after a failed chunk, and back off on rate limits
+     * @param {Error} error - Error from getLogs
+     * @param {number} failedAttempts - Failures in a row for this range, including this one
+     * @returns {Promise<string>} - 'rate-limit' or 'range'
+     * @throws {Error} - The original error when retrying cannot help
+     */
+    async failed(error, failedAttempts) {
+        const kind = classifyLogError(error);
+        if (!kind || failedAttempts > MAX_CHUNK_RETRIES || (kind === 'range' && this.size === MIN_LOG_CHUNK_BLOCKS)) {
+            throw error;
+        }
+        this.size = Math.max(MIN_LOG_CHUNK_BLOCKS, Math.floor(this.size / 2));
+        this.successStreak = 0;
+        if (kind === 'rate-limit') {
+            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_BASE_DELAY_MS * Math.pow(2, failedAttempts - 1)));
+        }
+        return kind;
+    }
+}
+
+/**
+ * Fetch the logs of a block range chunk by chunk
+ * @param {ethers.Provider} provider - RPC provider
+ * @param {object} filter - getLogs filter without block range
+ * @param {number} fromBlock - First block, inclusive
+ * @param {number} toBlock - Last block, inclusive
+ * @param {LogChunker} chunker - Range state for the endpoint behind the provider
+ * @returns {Promise<ethers.Log[]>}
+ */
+export async function getLogsInChunks(provider, filter, fromBlock, toBlock, chunker) {
+    const logs = [];
+    let failedAttempts = 0;
+    while (fromBlock <= toBlock) {
+        const chunkEnd = Math.min(fromBlock + chunker.size - 1, toBlock);
+        try {
+            logs.push(...await provider.getLogs({ ...filter, fromBlock, toBlock: chunkEnd }));
+        } catch (error) {
+            failedAttempts++;
+            await chunker.failed(error, failedAttempts);
+            continue;
+        }
+        failedAttempts = 0;
+        chunker.succeeded();
+        fromBlock = chunkEnd + 1;
+    }
+    return logs;
+}
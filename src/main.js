@@ -8,13 +8,7 @@ function isUserCurrentlyBidding(userAddress, bidders) {
     if (!userAddress || userAddress.trim() === '') {
         return false;
     }
-    return bidders.includes(userAddress);
-}
-function shortenAddress(address) {
-    if (!address) {
-        return '';
-    }
-    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    return bidders.some(bidder => addressesMatch(bidder, userAddress));
 }
 
 async function init() {
@@ -22,78 +16,191 @@ async function init() {
 
     // Load settings from storage
     const settings = await new Promise(resolve => {
-        chrome.storage.local.get(['isRiskTaker', 'dontCloseWindow', 'userAddress'], (result) => {
+        chrome.storage.local.get(['isRiskTaker', 'dontCloseWindow', 'dryRun', 'offerDuration', 'userAddress'], (result) => {
             resolve({
                 isRiskTaker: result.isRiskTaker || false,
                 dontCloseWindow: result.dontCloseWindow || false,
+                dryRun: result.dryRun || false,
+                offerDuration: result.offerDuration || DEFAULT_OFFER_DURATION,
                 userAddress: shortenAddress(result.userAddress) || ''
             });
         });
     });
 
     // 1. Scrape Data
+    const tokenId = getTokenIdFromUrl(window.location.href);
+    const transferTxHash = getTransferTxHashFromUrl(window.location.href);
+    const collection = getCollectionFromUrl(window.location.href);
     const owner = getOwner();
-    const { bidders, prices } = getAllOffers();
+    const { bidders, prices, source: offersSource } = await getOffers(tokenId, collection);
 
     const paths = {
-        list: "//span[contains(text(), 'Current Price')]/following-sibling::span",
-        fmv: "//span[contains(text(), 'FMV')]/following-sibling::span",
-        offerBtn: "//button[contains(., 'Make offer')]",
-        confirmOfferBtn: "//button[contains(., 'confirm offer')]",
-        priceInput: "//input[@placeholder='0.00']"
+        offerBtn: SELECTORS.card.offerBtn.value,
+        confirmOfferBtn: SELECTORS.card.confirmOfferBtn.value,
+        priceInput: SELECTORS.card.priceInput.value
     };
 
-    const listEl = getElementByXpath(paths.list, "list Price Element");
-    const list = listEl ? safeParse(listEl.innerText.replace(/[^0-9.]/g, '')) : 0;
-    const fmvEl = getElementByXpath(paths.fmv, "FMV Price Element");
-    const fmv = fmvEl ? safeParse(fmvEl.innerText.replace(/[^0-9.]/g, '')) : 0;
-    const tokenId = window.location.pathname.split("/").pop();
+    const { list, fmv } = getCardPrices();
 
     // 2. API Calls
-    const targetOffer = await getCalculatedOffer(tokenId, fmv, list, owner, bidders, prices, settings.isRiskTaker);
+    let targetOffer = null;
+    let offerSource = 'server';
+    let apiRejection = null;
+    try {
+        targetOffer = await getCalculatedOffer(tokenId, fmv, list, owner, bidders, prices, settings.isRiskTaker);
+    } catch (error) {
+        apiRejection = error;
+    }
+    if (apiRejection) {
+        // The backend answered and refused, or answered without a price; a local estimate would keep
+        // bidding around a bad API key or a backend bug
+        console.error('[ERROR] /calculate_offer rejected, not offering on this card:', apiRejection.message);
+        sendRuntimeMessage({
+            action: 'notify',
+            type: 'offerFailed',
+            details: { tokenId, error: `Backend rejected the offer request (${apiRejection.message}). Check the API key and environment in the popup.` }
+        });
+    } else if (targetOffer === null) {
+        // Backend unreachable - keep bidding on a local estimate
+        targetOffer = calculateLocalOffer(fmv, list, owner, bidders, prices, settings.isRiskTaker);
+        offerSource = 'local';
+        console.warn('[WARN] /calculate_offer unavailable, using local estimate:', targetOffer);
+    }
     await sendOffersToAPI(tokenId, bidders, prices, fmv);
-    console.log("%c[DATA] Scraped Prices:", "color: #fbbf24", { fmv, targetOffer });
+    console.log("%c[DATA] Scraped Prices:", "color: #fbbf24", { fmv, targetOffer, offerSource });
 
     // 3. UI and Automation
-    // Determine which offer to place
-    let offerToPlace = null;
-
-    if (targetOffer > 0.95 * fmv) {
-        // High enough offer - use calculated targetOffer
-        offerToPlace = targetOffer;
-    } else if (isUserCurrentlyBidding(settings.userAddress, bidders)) {
-        // User is currently bidding but targetOffer is low - place $1 to maintain bid
-        offerToPlace = 1.00;
+    // Ask the strategy engine which offer to place
+    const strategy = await loadActiveStrategy();
+    const decision = apiRejection
+        ? { amount: null, reason: `Backend rejected /calculate_offer: ${apiRejection.message}` }
+        : decideOffer({
+            targetOffer,
+            fmv,
+            isBidding: isUserCurrentlyBidding(settings.userAddress, bidders)
+        }, strategy);
+    console.log(`%c[STRATEGY] ${strategy.name}: ${decision.reason}`, "color: #a78bfa", decision);
+
+    // Watchlisted cards carry their own price cap; the page title holds the card name
+    const watchlistEntry = findWatchlistEntry(await loadWatchlist(), tokenId, document.title, collection);
+    let offerToPlace = decision.amount;
+    let reason = decision.reason;
+    if (watchlistEntry && watchlistEntry.maxPrice !== null && offerToPlace !== null && offerToPlace > watchlistEntry.maxPrice) {
+        offerToPlace = watchlistEntry.maxPrice;
+        reason += ` (capped at watchlist max $${watchlistEntry.maxPrice.toFixed(2)})`;
+    }
+    if (watchlistEntry) {
+        console.log(`%c[WATCHLIST] Token ${tokenId} matches ${describeWatchlistEntry(watchlistEntry)}`, "color: #facc15", watchlistEntry);
     }
-    // If neither condition is met, offerToPlace remains null (no offer)
+    const duration = offerToPlace !== null
+        ? resolveOfferDuration(offerToPlace, fmv, strategy, settings.offerDuration)
+        : null;
+
+    let result = 'skipped';
 
     if (offerToPlace !== null) {
-        const autoOfferBtn = createHelperUI(fmv, list, offerToPlace);
+        const autoOfferBtn = createHelperUI(fmv, list, offerToPlace, {
+            strategy: strategy.label || strategy.name,
+            reason,
+            meetsThreshold: targetOffer > strategy.threshold * fmv,
+            isLocalEstimate: offerSource === 'local',
+            watchlist: watchlistEntry && {
+                label: describeWatchlistEntry(watchlistEntry),
+                alert: getWatchlistAlert(watchlistEntry, list, fmv)
+            }
+        });
+        if (offerSource === 'local') {
+            showError('/calculate_offer failed - see popup for details');
+        }
 
         let offerComplete = new Promise((resolve) => {
             autoOfferBtn.addEventListener('click', async () => {
-                await executeAutoOffer(offerToPlace, paths);
-                resolve();
+                // Reserve budget so parallel card tabs can't overspend
+                const reservation = await reserveBudget(tokenId, offerToPlace, collection);
+                if (!reservation.success) {
+                    console.warn('[BUDGET] Offer skipped:', reservation.reason);
+                    showError(reservation.reason);
+                    resolve('budget-rejected');
+                    return;
+                }
+
+                const offerResult = await executeAutoOffer(offerToPlace, paths, { dryRun: settings.dryRun, tokenId, duration });
+                await settleBudget(reservation.reservationId, offerResult, duration);
+                resolve(offerResult);
             });
         });
 
         await sleep(200);
         autoOfferBtn.click();
-        await offerComplete;
+        result = await offerComplete;
+    }
+
+    await recordLedgerEntry({
+        tokenId,
+        collection,
+        fmv,
+        list,
+        owner,
+        bidders,
+        prices,
+        offersSource,
+        targetOffer,
+        offerSource,
+        offerAmount: offerToPlace,
+        amountPlaced: result === 'placed' ? offerToPlace : null,
+        duration,
+        strategy: strategy.name,
+        reason,
+        transferTxHash,
+        result
+    });
+
+    if (offerToPlace !== null) {
         await sleep(10000);
     }
 
+    // Keep the tab open and re-offer if someone tops us
+    if (result === 'placed' && (await loadOutbidWatcherSettings()).enabled) {
+        await watchForOutbids({
+            tokenId,
+            collection,
+            fmv,
+            list,
+            owner,
+            userAddress: settings.userAddress,
+            riskTaker: settings.isRiskTaker,
+            strategy: strategy.name,
+            duration,
+            paths,
+            dryRun: settings.dryRun,
+            transferTxHash,
+            ceilingPremium: watchlistEntry ? watchlistEntry.ceilingPremium : null,
+            maxPrice: watchlistEntry ? watchlistEntry.maxPrice : null
+        }, offerToPlace);
+    }
+
     if (!settings.dontCloseWindow) {
         window.close();
     }
 }
 
-// Listen for reload messages from the popup
+// Listen for reload and self-test messages from the popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'reload') {
         console.log('Card page: Re-scan requested from popup');
         init();
         sendResponse({ status: 'reloading' });
+    } else if (request.action === 'selector-self-test') {
+        sendResponse(runSelectorSelfTest('card'));
+    } else if (request.action === 'capture-fixture') {
+        const { bidders, prices } = getAllOffers();
+        sendResponse(captureFixture('card', {
+            owner: getOwner(),
+            bidders,
+            prices,
+            ...getCardPrices(),
+            tokenId: getTokenIdFromUrl(window.location.href)
+        }));
     }
     return true; // Indicates asynchronous response
 });
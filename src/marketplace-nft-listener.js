@@ -9,16 +9,17 @@
     console.log('[MarketplaceNFTListener] Content script loaded on marketplace page');
 
     /**
-     * Open a URL in a background tab
-     * Uses existing chrome.runtime.sendMessage pattern from price-analyzer.js
+     * Queue a URL to open in a background tab
+     * Transfer-triggered tabs jump ahead of scan-triggered ones in the service worker queue
      * @param {string} url - URL to open
+     * @param {string} collection - Collection ID the card belongs to
      */
-    function openInBackgroundTab(url) {
+    function openInBackgroundTab(url, collection) {
         chrome.runtime.sendMessage(
-            { action: 'openTab', url: url },
+            { action: 'openTab', url: url, source: 'transfer', collection: collection },
             (response) => {
                 if (response && response.success) {
-                    console.log('[MarketplaceNFTListener] Tab opened successfully:', url);
+                    console.log('[MarketplaceNFTListener] Tab', response.queued ? 'queued:' : 'skipped (' + response.reason + '):', url);
                 } else {
                     console.error('[MarketplaceNFTListener] Failed to open tab:', url);
                 }
@@ -70,10 +71,17 @@
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.action === 'transfer-detected') {
             const tokenId = request.tokenId;
-            const cardUrl = `https://www.renaiss.xyz/card/${tokenId}`;
+            // The fragment lets the card page tie its ledger entry to this transfer
+            const cardUrl = (request.cardUrl || `https://www.renaiss.xyz/card/${tokenId}`) + (request.txHash ? `#renaiss-transfer=${request.txHash}` : '');
 
-            console.log('[MarketplaceNFTListener] Transfer detected - Opening card:', cardUrl);
-            openInBackgroundTab(cardUrl);
+            if (request.watchlisted) {
+                console.log('%c[MarketplaceNFTListener] Watchlisted card transferred - Opening card: ' + cardUrl, 'color: #facc15; font-weight: bold');
+            } else if (request.isSale) {
+                console.log('[MarketplaceNFTListener] Sale detected at $' + request.salePrice.toFixed(2) + ' - Opening card:', cardUrl);
+            } else {
+                console.log('[MarketplaceNFTListener] Transfer detected - Opening card:', cardUrl);
+            }
+            openInBackgroundTab(cardUrl, request.collection);
 
             sendResponse({ success: true });
         }
@@ -0,0 +1,39 @@
+// Marketplace tile scraper
+// Reads what the price analyzer needs from a card tile in the marketplace grid.
+// Kept outside the analyzer so saved marketplace fixtures can be scraped offline.
+
+// parsePrice() stand-ins that sort missing and unlisted prices last
+const MISSING_PRICE = 1000000;
+const UNLISTED_PRICE = 10000000;
+
+/**
+ * Parses price string and returns numeric value
+ * @param {string} priceStr - Price string like "$163.2"
+ * @returns {number} - Numeric price value
+ */
+function parsePrice(priceStr) {
+    if (!priceStr) return MISSING_PRICE;
+    if (priceStr === "unlisted") return UNLISTED_PRICE;
+    const cleaned = priceStr.replace(/[$,]/g, '');
+    return parseFloat(cleaned) || 0;
+}
+
+/**
+ * Reads token ID, name and prices from a marketplace card tile
+ * @param {HTMLElement} card - Card element to read
+ * @returns {object} - { tokenId, cardName, listingPrice, fmvPrice }; prices are null when their element is missing
+ */
+function extractTileData(card) {
+    const cardLink = findBySelector(SELECTORS.marketplace.cardLink, card);
+    const tokenId = cardLink ? getTokenIdFromUrl(cardLink.getAttribute('href')) : null;
+    const cardNameEl = findBySelector(SELECTORS.marketplace.cardName, card);
+    const listingPriceEl = findBySelector(SELECTORS.marketplace.listingPrice, card);
+    const fmvPriceEl = findBySelector(SELECTORS.marketplace.fmvPrice, card);
+
+    return {
+        tokenId: tokenId || 'N/A',
+        cardName: cardNameEl ? cardNameEl.textContent.trim() : 'N/A',
+        listingPrice: listingPriceEl ? parsePrice(listingPriceEl.textContent) : null,
+        fmvPrice: fmvPriceEl ? parsePrice(fmvPriceEl.textContent) : null
+    };
+}
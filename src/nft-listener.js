@@ -6,33 +6,60 @@
 
 // Import ethers from CDN ES module
 import { ethers } from 'https://esm.sh/ethers@6.11.1';
-import { getNextWsEndpoint, getFallbackRpcEndpoint } from './ws-config.js';
-
-// The marketplace contract we're monitoring for trades
-const MARKETPLACE_CONTRACT = '0xae3e7268ef5a062946216a44f58a8f685ffd11d0';
-// The NFT contract that emits Transfer events (used as log emitter filter)
-// Using lowercase to ensure RPC provider filter matching works correctly
-const NFT_CONTRACT_ADDRESS = '0xf8646a3ca093e97bb404c3b25e675c0394dd5b30';
-const CHAIN_ID = 56; // BSC Chain ID
-
-// ERC721 Transfer event signature: Transfer(address indexed from, address indexed to, uint256 indexed tokenId)
-// Topic0 = keccak256("Transfer(address,address,uint256)")
-const TRANSFER_EVENT_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+import { TRANSFER_EVENT_TOPIC, getActiveNetwork, getWatchedCollections, getCardUrl } from './contracts.js';
+import { enrichTransfer, salesHistory } from './sales-history.js';
+import { transferFilter } from './transfer-filter.js';
+import { notifier } from './notifier.js';
+import { endpointHealth } from './endpoint-health.js';
+import { offerLedger } from './offer-ledger.js';
+import { LogChunker } from './log-chunks.js';
+import './settings-defaults.js'; // Classic script shared with the popup
+
+const { DEFAULT_CONFIRMATIONS } = globalThis;
+
 const TRANSFER_EVENT_ABI = [
     'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
 ];
-
-class NFTListener {
+const transferInterface = new ethers.Interface(TRANSFER_EVENT_ABI);
+
+// Wakes the service worker so listening resumes after Chrome suspends it
+const KEEP_ALIVE_ALARM = 'nft-listener-keep-alive';
+const KEEP_ALIVE_PERIOD_MINUTES = 0.5;
+// Dedupe keys kept in the checkpoint
+const CHECKPOINT_DEDUPE_KEYS = 500;
+// Resume never backfills more than this many blocks; older gaps are skipped with a warning
+const MAX_BACKFILL_BLOCKS = 50000;
+
+// Blocks we acted on are re-checked for deeper reorgs while within this distance of the head
+const REORG_WATCH_BLOCKS = 200;
+const REORG_CHECK_INTERVAL_MS = 30 * 1000;
+const MAX_TRACKED_NOTIFICATIONS = 100;
+
+// Subscription mode falls back to polling when no new head arrives for this long
+const SUBSCRIPTION_STALE_MS = 30 * 1000;
+const SUBSCRIPTION_WATCHDOG_INTERVAL_MS = 10 * 1000;
+// A stale socket is swapped for HTTP polling; the subscription is retried this often
+const RESUBSCRIBE_INTERVAL_MS = 2 * 60 * 1000;
+
+// Polls failing in a row, for any reason, before the listener moves to another endpoint
+const MAX_CONSECUTIVE_POLL_FAILURES = 3;
+
+export class NFTListener {
     constructor() {
         this.provider = null;
-        this.contract = null;
+        this.network = null; // NETWORKS entry the provider is connected to
+        this.collections = []; // COLLECTIONS entries being watched
+        this.logFilter = null; // getLogs / eth_subscribe filter covering every watched collection
         this.isListening = false;
         this.listener = null;
+        this.startPromise = null;
         this.tabs = new Set(); // Track which tabs have requested listening
 
         // Status tracking
         this.connectionStatus = 'disconnected'; // 'connected', 'disconnected', 'connecting', 'failed'
         this.activeEndpoint = null;
+        this.activeEndpointUrl = null; // activeEndpoint without the display suffix, for health scoring
+        this.lastFailedEndpointUrl = null;
         this.lastTransferEvent = null;
         this.connectionTimestamp = null;
 
@@ -40,6 +67,26 @@ class NFTListener {
         this.lastProcessedBlock = null;
         this.blockPollIntervalMs = 3000;
         this.processedTxHashesForDeduplication = new Set();
+        this.isPolling = false;
+        this.consecutivePollFailures = 0;
+        this.logChunker = new LogChunker(); // getLogs range the active endpoint accepts
+        this.backfill = null; // { fromBlock, toBlock, processedBlock, chunkSize, startedAt } while catching up
+
+        // 'subscription' (eth_subscribe over WebSocket) or 'polling'
+        this.mode = null;
+        this.subscriptionWatchdogHandle = null;
+        this.resubscribeHandle = null; // Set while polling over HTTP because the subscription went stale
+        this.isResubscribing = false;
+        this.lastHeadAt = null;
+        this.onSubscribedTransfer = null;
+        this.onNewHead = null;
+
+        // Reorg protection
+        this.pendingTransfers = new Map(); // eventKey -> log waiting for confirmations
+        this.finalizedBlocks = new Map(); // blockNumber -> { hash, transfers: [{ eventKey, txHash, tokenId, collection }] }
+        this.transferNotifications = new Map(); // txHash -> notificationId
+        this.isConfirming = false;
+        this.lastReorgCheckAt = 0;
 
         // Reconnection tracking
         this.reconnectTimeout = null;
@@ -50,9 +97,10 @@ class NFTListener {
 
     /**
      * Initialize provider with WebSocket or HTTP fallback
+     * @param {object} [options] - { httpOnly } skips WebSocket endpoints
      * @returns {Promise<boolean>} Success status
      */
-    async initializeProvider() {
+    async initializeProvider({ httpOnly = false } = {}) {
         try {
             console.log('[NFTListener] === Starting initializeProvider ===');
             this.connectionStatus = 'connecting';
@@ -61,20 +109,23 @@ class NFTListener {
             await this.updateStorageStatus();
             console.log('[NFTListener] Updated storage status');
 
-            const wsEndpoint = getNextWsEndpoint();
-            console.log('[NFTListener] WebSocket endpoint from config:', wsEndpoint);
+            const exclude = this.lastFailedEndpointUrl ? [this.lastFailedEndpointUrl] : [];
+            const wsEndpoint = httpOnly ? null : await endpointHealth.pick('ws', exclude);
+            console.log('[NFTListener] Healthiest WebSocket endpoint:', wsEndpoint);
 
             if (wsEndpoint) {
                 try {
                     console.log('[NFTListener] Attempting WebSocket connection:', wsEndpoint);
-                    this.provider = new ethers.WebSocketProvider(wsEndpoint);
+                    this.provider = this.createProvider(wsEndpoint, 'ws');
                     console.log('[NFTListener] WebSocketProvider created, testing connection...');
 
-                    const network = await this.provider.getNetwork();
+                    const network = await endpointHealth.measure(wsEndpoint, () => this.provider.getNetwork());
+                    this.checkChainId(network);
                     console.log('[NFTListener] Network test successful:', network);
 
                     this.connectionStatus = 'connected';
                     this.activeEndpoint = wsEndpoint;
+                    this.activeEndpointUrl = wsEndpoint;
                     this.connectionTimestamp = new Date().toISOString();
                     console.log('[NFTListener] Status set to connected, endpoint:', wsEndpoint);
 
@@ -83,25 +134,38 @@ class NFTListener {
                     return true;
                 } catch (wsError) {
                     console.warn('[NFTListener] WebSocket failed:', wsError.message);
+                    this.lastFailedEndpointUrl = wsEndpoint;
+                    await this.destroyProvider();
                     console.log('[NFTListener] Attempting HTTP fallback...');
                 }
-            } else {
+            } else if (!httpOnly) {
                 console.log('[NFTListener] No WebSocket endpoints configured, using HTTP fallback');
             }
 
             // Fallback to HTTP
-            const rpcEndpoint = getFallbackRpcEndpoint();
+            const rpcEndpoint = await endpointHealth.pick('http', exclude);
+            if (!rpcEndpoint) {
+                throw new Error('No HTTP RPC endpoints enabled');
+            }
             console.log('[NFTListener] HTTP fallback endpoint:', rpcEndpoint);
             console.log('[NFTListener] Creating JsonRpcProvider...');
 
-            this.provider = new ethers.JsonRpcProvider(rpcEndpoint);
+            this.provider = this.createProvider(rpcEndpoint, 'http');
             console.log('[NFTListener] JsonRpcProvider created, testing connection...');
 
-            const network = await this.provider.getNetwork();
+            let network;
+            try {
+                network = await endpointHealth.measure(rpcEndpoint, () => this.provider.getNetwork());
+                this.checkChainId(network);
+            } catch (httpError) {
+                this.lastFailedEndpointUrl = rpcEndpoint;
+                throw httpError;
+            }
             console.log('[NFTListener] Network test successful:', network);
 
             this.connectionStatus = 'connected';
             this.activeEndpoint = rpcEndpoint + ' (HTTP Fallback)';
+            this.activeEndpointUrl = rpcEndpoint;
             this.connectionTimestamp = new Date().toISOString();
             console.log('[NFTListener] HTTP connection established:', this.activeEndpoint);
 
@@ -115,6 +179,7 @@ class NFTListener {
 
             this.connectionStatus = 'failed';
             this.activeEndpoint = null;
+            this.activeEndpointUrl = null;
 
             await this.updateStorageStatus();
             console.log('[NFTListener] Storage updated with failed status');
@@ -122,6 +187,42 @@ class NFTListener {
         }
     }
 
+    /**
+     * Build a provider for an endpoint; a harness can override this to wrap or drop the socket
+     * @param {string} url - Endpoint URL
+     * @param {string} type - 'ws' or 'http'
+     * @returns {ethers.Provider}
+     */
+    createProvider(url, type) {
+        return type === 'ws' ? new ethers.WebSocketProvider(url) : new ethers.JsonRpcProvider(url);
+    }
+
+    /**
+     * Socket under the WebSocket provider
+     * ethers v6 exposes it as provider.websocket, whose getter throws once the provider is destroyed.
+     * @returns {WebSocket|null} - null for HTTP providers and destroyed ones
+     */
+    getSocket() {
+        if (!(this.provider instanceof ethers.WebSocketProvider)) {
+            return null;
+        }
+        try {
+            return this.provider.websocket;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Refuse endpoints that serve a different chain than the active network
+     * @param {ethers.Network} network - Network reported by the provider
+     */
+    checkChainId(network) {
+        if (Number(network.chainId) !== this.network.chainId) {
+            throw new Error(`Endpoint is on chain ${network.chainId}, expected ${this.network.chainId} (${this.network.name})`);
+        }
+    }
+
     /**
      * Check if the provider connection is healthy
      * @returns {Promise<boolean>} True if provider is connected and responsive
@@ -134,8 +235,9 @@ class NFTListener {
             }
 
             // For WebSocketProvider, check if connection is open
-            if (this.provider._websocket) {
-                const wsReadyState = this.provider._websocket.readyState;
+            const socket = this.getSocket();
+            if (socket) {
+                const wsReadyState = socket.readyState;
                 console.log('[NFTListener] WebSocket readyState:', wsReadyState);
                 // 0 = CONNECTING, 1 = OPEN, 2 = CLOSING, 3 = CLOSED
                 if (wsReadyState !== 1) {
@@ -155,7 +257,17 @@ class NFTListener {
         }
     }
 
-    async startListening() {
+    startListening() {
+        // Resume on wake and a tab's start request can arrive together; share one start
+        if (!this.startPromise) {
+            this.startPromise = this.doStartListening().finally(() => {
+                this.startPromise = null;
+            });
+        }
+        return this.startPromise;
+    }
+
+    async doStartListening() {
         console.log('[NFTListener] startListening() called');
 
         if (this.isListening) {
@@ -164,6 +276,12 @@ class NFTListener {
         }
 
         try {
+            this.network = await getActiveNetwork();
+            this.collections = await getWatchedCollections();
+            if (this.collections.length === 0) {
+                throw new Error(`No collections enabled on ${this.network.name}`);
+            }
+
             console.log('[NFTListener] Checking provider health...');
             const providerHealthy = await this.isProviderHealthy();
 
@@ -180,26 +298,40 @@ class NFTListener {
                 console.log('[NFTListener] Provider is healthy');
             }
 
-            console.log('[NFTListener] Creating contract instance for NFT:', NFT_CONTRACT_ADDRESS);
-            this.contract = new ethers.Contract(
-                NFT_CONTRACT_ADDRESS,
-                TRANSFER_EVENT_ABI,
-                this.provider
-            );
-            console.log('[NFTListener] Contract instance created');
+            this.logFilter = {
+                address: this.collections.map(collection => collection.nftContract),
+                topics: [TRANSFER_EVENT_TOPIC]
+            };
+            console.log('[NFTListener] Watching', this.collections.map(collection => collection.name).join(', '), 'on', this.network.name);
 
             const currentBlock = await this.provider.getBlockNumber();
-            this.lastProcessedBlock = currentBlock;
-            console.log('[NFTListener] Starting from block:', currentBlock);
+            if (this.lastProcessedBlock === null) {
+                this.lastProcessedBlock = currentBlock;
+                console.log('[NFTListener] Starting from block:', currentBlock);
+            } else if (currentBlock - this.lastProcessedBlock > MAX_BACKFILL_BLOCKS) {
+                console.warn('[NFTListener] Gap of', currentBlock - this.lastProcessedBlock, 'blocks exceeds backfill limit, skipping to', currentBlock - MAX_BACKFILL_BLOCKS);
+                this.lastProcessedBlock = currentBlock - MAX_BACKFILL_BLOCKS;
+            } else {
+                console.log('[NFTListener] Backfilling from block:', this.lastProcessedBlock + 1, 'to', currentBlock);
+            }
 
-            this.startPolling();
+            this.consecutivePollFailures = 0;
+            if (this.provider instanceof ethers.WebSocketProvider) {
+                await this.startSubscription();
+            } else {
+                this.startPolling();
+            }
+            endpointHealth.startProbing();
+            chrome.alarms.create(KEEP_ALIVE_ALARM, { periodInMinutes: KEEP_ALIVE_PERIOD_MINUTES });
 
             this.isListening = true;
             console.log('[NFTListener] isListening set to true');
 
-            console.log('[NFTListener] === Successfully started polling for Transfer events ===');
-            console.log('[NFTListener] NFT contract:', NFT_CONTRACT_ADDRESS);
-            console.log('[NFTListener] Poll interval:', this.blockPollIntervalMs, 'ms');
+            console.log('[NFTListener] === Successfully started listening for Transfer events (' + this.mode + ') ===');
+            console.log('[NFTListener] NFT contracts:', this.logFilter.address.join(', '));
+            if (this.mode === 'polling') {
+                console.log('[NFTListener] Poll interval:', this.blockPollIntervalMs, 'ms');
+            }
             console.log('[NFTListener] Provider:', this.provider.constructor.name);
             return true;
         } catch (error) {
@@ -225,93 +357,498 @@ class NFTListener {
             clearInterval(this.pollIntervalHandle);
         }
 
-        console.log('[NFTListener] Starting block polling...');
+        this.mode = 'polling';
+        console.log('[NFTListener] Starting block polling from block', this.lastProcessedBlock + 1);
         this.pollIntervalHandle = setInterval(() => this.pollForTransfers(), this.blockPollIntervalMs);
         this.pollForTransfers();
     }
 
     async pollForTransfers() {
-        if (!this.provider || !this.contract) {
-            console.log('[NFTListener] Poll skipped - provider or contract not ready');
+        if (!this.provider || !this.logFilter) {
+            console.log('[NFTListener] Poll skipped - provider or filter not ready');
             return;
         }
 
         const WS_OPEN = 1;
-        if (this.provider._websocket && this.provider._websocket.readyState !== WS_OPEN) {
-            const wsState = this.provider._websocket.readyState;
+        const socket = this.getSocket();
+        if (socket && socket.readyState !== WS_OPEN) {
+            const wsState = socket.readyState;
             console.log('[NFTListener] WebSocket not open (state:', wsState, '), stopping poll and reconnecting');
             this.isListening = false;
             this.stopPolling();
+            this.stopSubscription();
             if (this.hasActiveTabs()) {
                 this.scheduleReconnect();
             }
             return;
         }
 
+        if (this.isPolling) {
+            return; // A backfill from an earlier tick is still running
+        }
+        this.isPolling = true;
+
         try {
-            const currentBlock = await this.provider.getBlockNumber();
-            
+            const currentBlock = await endpointHealth.measure(this.activeEndpointUrl, () => this.provider.getBlockNumber(), true);
+
             if (currentBlock <= this.lastProcessedBlock) {
+                this.consecutivePollFailures = 0;
                 return;
             }
 
-            const fromBlock = this.lastProcessedBlock + 1;
-            const toBlock = currentBlock;
-
-            console.log('[NFTListener] Polling blocks', fromBlock, 'to', toBlock);
+            const gap = currentBlock - this.lastProcessedBlock;
+            if (gap > this.logChunker.size) {
+                this.backfill = {
+                    fromBlock: this.lastProcessedBlock + 1,
+                    toBlock: currentBlock,
+                    processedBlock: this.lastProcessedBlock,
+                    chunkSize: this.logChunker.size,
+                    startedAt: new Date().toISOString()
+                };
+                console.log('[NFTListener] Backfilling', gap, 'blocks in chunks of', this.logChunker.size);
+                await this.updateStorageStatus();
+            }
 
-            const filter = this.contract.filters.Transfer();
-            const events = await this.contract.queryFilter(filter, fromBlock, toBlock);
+            let failedAttempts = 0;
 
-            if (events.length > 0) {
-                console.log('[NFTListener] Found', events.length, 'Transfer event(s)');
-            }
+            while (this.lastProcessedBlock < currentBlock) {
+                if (!this.logFilter) {
+                    return; // Stopped mid-backfill
+                }
 
-            for (const event of events) {
-                const txHash = event.transactionHash;
-                const logIndex = event.index;
-                const eventKey = `${txHash}-${logIndex}`;
+                const fromBlock = this.lastProcessedBlock + 1;
+                const toBlock = Math.min(fromBlock + this.logChunker.size - 1, currentBlock);
 
-                if (this.processedTxHashesForDeduplication.has(eventKey)) {
+                let events;
+                try {
+                    events = await endpointHealth.measure(this.activeEndpointUrl, () => this.queryTransfers(fromBlock, toBlock));
+                } catch (error) {
+                    failedAttempts++;
+                    const kind = await this.logChunker.failed(error, failedAttempts);
+                    console.warn(`[NFTListener] ${kind} error for blocks ${fromBlock}-${toBlock}, chunk size now ${this.logChunker.size}:`, error.message);
                     continue;
                 }
-                this.processedTxHashesForDeduplication.add(eventKey);
+                failedAttempts = 0;
 
-                if (this.processedTxHashesForDeduplication.size > 1000) {
-                    const keysArray = Array.from(this.processedTxHashesForDeduplication);
-                    this.processedTxHashesForDeduplication = new Set(keysArray.slice(-500));
+                if (events.length > 0) {
+                    console.log('[NFTListener] Found', events.length, 'Transfer event(s) in blocks', fromBlock, 'to', toBlock);
+                }
+                for (const event of events) {
+                    this.queueTransfer(event);
                 }
 
-                const from = event.args[0];
-                const to = event.args[1];
-                const tokenId = event.args[2];
+                this.lastProcessedBlock = toBlock;
+                await this.saveCheckpoint();
 
-                console.log('[NFTListener] *** TRANSFER EVENT DETECTED ***');
-                console.log('[NFTListener] Block:', event.blockNumber);
-                console.log('[NFTListener] TxHash:', txHash);
-                console.log('[NFTListener] From:', from);
-                console.log('[NFTListener] To:', to);
-                console.log('[NFTListener] TokenId:', tokenId.toString());
+                this.logChunker.succeeded();
 
-                await this.onTransferDetected(from, to, tokenId);
+                if (this.backfill) {
+                    this.backfill.processedBlock = toBlock;
+                    this.backfill.chunkSize = this.logChunker.size;
+                    await this.updateStorageStatus();
+                }
             }
 
-            this.lastProcessedBlock = currentBlock;
+            if (this.backfill) {
+                console.log('[NFTListener] Backfill complete:', this.backfill.fromBlock, 'to', this.backfill.toBlock);
+                this.backfill = null;
+                await this.updateStorageStatus();
+            }
+
+            await this.confirmTransfers(currentBlock);
+            this.consecutivePollFailures = 0;
         } catch (error) {
-            console.error('[NFTListener] Poll error:', error.message);
-            
-            if (error.message.includes('network') || error.message.includes('connection')) {
-                console.log('[NFTListener] Network error detected, scheduling reconnect...');
-                this.isListening = false;
-                this.stopPolling();
-                if (this.hasActiveTabs()) {
-                    this.scheduleReconnect();
+            this.consecutivePollFailures++;
+            console.error(`[NFTListener] Poll error (${this.consecutivePollFailures}/${MAX_CONSECUTIVE_POLL_FAILURES}):`, error.message);
+            endpointHealth.recordError(this.activeEndpointUrl, error);
+
+            if (this.consecutivePollFailures >= MAX_CONSECUTIVE_POLL_FAILURES) {
+                await this.rotateEndpoint(`${this.consecutivePollFailures} failed polls in a row`);
+            }
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Drop the active endpoint and reconnect, skipping it when another one is enabled
+     * @param {string} reason - Logged cause
+     */
+    async rotateEndpoint(reason) {
+        console.warn('[NFTListener] Leaving endpoint', this.activeEndpointUrl, '-', reason);
+        this.lastFailedEndpointUrl = this.activeEndpointUrl;
+        this.consecutivePollFailures = 0;
+        this.isListening = false;
+        this.stopPolling();
+        this.stopSubscription();
+        // A provider that still answers would pass the health check and be reused
+        await this.destroyProvider();
+        if (this.hasActiveTabs()) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Turn a raw ERC721 Transfer log into the event shape the listener works with
+     * @param {ethers.Log} log - Log from getLogs or eth_subscribe
+     * @returns {object|null} - { transactionHash, index, blockNumber, blockHash, args, collection }, null for other logs
+     */
+    decodeTransfer(log) {
+        const collection = this.collections.find(candidate => candidate.nftContract === log.address.toLowerCase());
+        if (!collection || log.topics.length !== 4) {
+            return null;
+        }
+        return {
+            transactionHash: log.transactionHash,
+            index: log.index,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            args: transferInterface.parseLog(log).args,
+            collection
+        };
+    }
+
+    /**
+     * Transfer events of every watched collection in a block range
+     * @param {number} fromBlock - First block
+     * @param {number} toBlock - Last block
+     * @returns {Promise<object[]>}
+     */
+    async queryTransfers(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ ...this.logFilter, fromBlock, toBlock });
+        return logs.map(log => this.decodeTransfer(log)).filter(Boolean);
+    }
+
+    /**
+     * Hold a Transfer log until it has enough confirmations
+     * @param {ethers.EventLog} event - Transfer log
+     */
+    queueTransfer(event) {
+        const eventKey = `${event.transactionHash}-${event.index}`;
+        if (this.processedTxHashesForDeduplication.has(eventKey) || this.pendingTransfers.has(eventKey)) {
+            return;
+        }
+        this.pendingTransfers.set(eventKey, event);
+        console.log('[NFTListener] Transfer', eventKey, 'in block', event.blockNumber, 'waiting for confirmations');
+    }
+
+    async getConfirmations() {
+        const { listenerSettings = {} } = await chrome.storage.local.get('listenerSettings');
+        return listenerSettings.confirmations ?? DEFAULT_CONFIRMATIONS;
+    }
+
+    /**
+     * Act on pending transfers that are deep enough, dropping any whose block was replaced
+     * @param {number} head - Latest block number
+     */
+    async confirmTransfers(head) {
+        if (this.isConfirming || !this.provider) {
+            return;
+        }
+        this.isConfirming = true;
+
+        try {
+            const safeBlock = head - await this.getConfirmations();
+            const ready = [...this.pendingTransfers.entries()].filter(([, event]) => event.blockNumber <= safeBlock);
+            const blockNumbers = [...new Set(ready.map(([, event]) => event.blockNumber))].sort((a, b) => a - b);
+
+            for (const blockNumber of blockNumbers) {
+                const block = await this.provider.getBlock(blockNumber);
+                let reorged = false;
+
+                for (const [eventKey, event] of ready.filter(([, pending]) => pending.blockNumber === blockNumber)) {
+                    this.pendingTransfers.delete(eventKey);
+                    if (block && event.blockHash === block.hash) {
+                        this.rememberFinalizedTransfer(block, eventKey, event);
+                        await this.processTransferEvent(event);
+                    } else {
+                        reorged = true;
+                        console.warn('[NFTListener] Reorg: transfer', eventKey, 'is no longer in block', blockNumber, '- dropped before acting');
+                    }
+                }
+
+                if (reorged) {
+                    await this.refetchBlock(blockNumber);
                 }
             }
+
+            if (Date.now() - this.lastReorgCheckAt > REORG_CHECK_INTERVAL_MS) {
+                this.lastReorgCheckAt = Date.now();
+                await this.checkFinalizedBlocks(head);
+            }
+        } catch (error) {
+            console.error('[NFTListener] Confirmation check failed:', error.message);
+        } finally {
+            this.isConfirming = false;
+        }
+    }
+
+    rememberFinalizedTransfer(block, eventKey, event) {
+        const entry = this.finalizedBlocks.get(block.number) || { hash: block.hash, transfers: [] };
+        entry.transfers.push({ eventKey, txHash: event.transactionHash, tokenId: event.args[2].toString(), collection: event.collection.id });
+        this.finalizedBlocks.set(block.number, entry);
+    }
+
+    /**
+     * Queue the canonical Transfer logs of a block that was replaced
+     * @param {number} blockNumber - Reorged block
+     */
+    async refetchBlock(blockNumber) {
+        const events = await this.queryTransfers(blockNumber, blockNumber);
+        console.log('[NFTListener] Re-read block', blockNumber, 'after reorg:', events.length, 'Transfer event(s)');
+        for (const event of events) {
+            this.queueTransfer(event);
+        }
+    }
+
+    /**
+     * Look for reorgs deeper than the confirmation depth in blocks we already acted on
+     * @param {number} head - Latest block number
+     */
+    async checkFinalizedBlocks(head) {
+        for (const [blockNumber, entry] of this.finalizedBlocks) {
+            if (blockNumber < head - REORG_WATCH_BLOCKS) {
+                this.finalizedBlocks.delete(blockNumber);
+                continue;
+            }
+            const block = await this.provider.getBlock(blockNumber);
+            if (block && block.hash === entry.hash) {
+                continue;
+            }
+
+            console.warn('[NFTListener] *** REORG *** Block', blockNumber, 'changed after', entry.transfers.length, 'transfer(s) were acted on');
+            this.finalizedBlocks.delete(blockNumber);
+            for (const transfer of entry.transfers) {
+                this.processedTxHashesForDeduplication.delete(transfer.eventKey);
+                await this.retractTransfer(transfer);
+            }
+            await this.refetchBlock(blockNumber);
+        }
+    }
+
+    /**
+     * Undo what we can for a transfer that was reorged out after it was acted on
+     * Offers already placed stay on chain, so they are only flagged in the ledger.
+     * @param {object} transfer - { txHash, tokenId, collection }
+     */
+    async retractTransfer({ txHash, tokenId, collection }) {
+        await salesHistory.remove(tokenId, txHash, collection);
+        const flaggedOffers = await offerLedger.markReorged(txHash);
+
+        const notificationId = this.transferNotifications.get(txHash);
+        if (notificationId) {
+            await notifier.retract(notificationId);
+            this.transferNotifications.delete(txHash);
+        }
+        if (notificationId || flaggedOffers > 0) {
+            await notifier.notify('transferReorged', { tokenId, collection, txHash });
+        }
+
+        if (this.lastTransferEvent?.txHash === txHash) {
+            this.lastTransferEvent.reorged = true;
+            await this.updateStorageStatus();
+        }
+        console.warn('[NFTListener] Retracted transfer', txHash, 'of token', tokenId, '-', flaggedOffers, 'offer(s) flagged');
+    }
+
+    /**
+     * Dedupe and hand one Transfer log to onTransferDetected
+     * @param {ethers.EventLog} event - Transfer log
+     */
+    async processTransferEvent(event) {
+        const txHash = event.transactionHash;
+        const logIndex = event.index;
+        const eventKey = `${txHash}-${logIndex}`;
+
+        if (this.processedTxHashesForDeduplication.has(eventKey)) {
+            return;
+        }
+        this.processedTxHashesForDeduplication.add(eventKey);
+
+        if (this.processedTxHashesForDeduplication.size > 1000) {
+            const keysArray = Array.from(this.processedTxHashesForDeduplication);
+            this.processedTxHashesForDeduplication = new Set(keysArray.slice(-500));
+        }
+
+        const from = event.args[0];
+        const to = event.args[1];
+        const tokenId = event.args[2];
+
+        console.log('[NFTListener] *** TRANSFER EVENT DETECTED ***');
+        console.log('[NFTListener] Block:', event.blockNumber);
+        console.log('[NFTListener] TxHash:', txHash);
+        console.log('[NFTListener] From:', from);
+        console.log('[NFTListener] To:', to);
+        console.log('[NFTListener] TokenId:', tokenId.toString());
+
+        await this.onTransferDetected(from, to, tokenId, event);
+    }
+
+    /**
+     * Receive Transfer logs and new heads over eth_subscribe instead of polling
+     * Subscribes first, then backfills from lastProcessedBlock so nothing between the
+     * two is missed; logs seen twice are dropped by the dedupe set.
+     */
+    async startSubscription() {
+        this.stopPolling();
+        this.mode = 'subscription';
+        this.lastHeadAt = Date.now();
+
+        this.onSubscribedTransfer = (log) => {
+            const event = this.decodeTransfer(log);
+            if (event) {
+                this.queueTransfer(event);
+            }
+        };
+        // Logs for a head may arrive just after it, so only the block before it counts as processed
+        this.onNewHead = (blockNumber) => {
+            this.lastHeadAt = Date.now();
+            if (!this.isPolling && blockNumber - 1 > this.lastProcessedBlock) {
+                this.lastProcessedBlock = blockNumber - 1;
+                this.saveCheckpoint();
+            }
+            this.confirmTransfers(blockNumber);
+        };
+
+        await this.provider.on(this.logFilter, this.onSubscribedTransfer);
+        await this.provider.on('block', this.onNewHead);
+        // on() only queues the eth_subscribe calls, and destroying the provider rejects queued calls where
+        // nothing can catch them; an uncached round trip behind them makes sure both went out
+        await this.provider.send('eth_blockNumber', []);
+        console.log('[NFTListener] Subscribed to Transfer logs and new heads');
+
+        // Gap check: catch up on anything since the last processed block
+        await this.pollForTransfers();
+        if (this.mode !== 'subscription') {
+            return; // The catch-up found the socket closed and already scheduled a reconnect
+        }
+
+        this.subscriptionWatchdogHandle = setInterval(() => this.checkSubscription(), SUBSCRIPTION_WATCHDOG_INTERVAL_MS);
+        await this.updateStorageStatus();
+    }
+
+    checkSubscription() {
+        const WS_OPEN = 1;
+        const socket = this.getSocket();
+        if (socket && socket.readyState !== WS_OPEN) {
+            console.warn('[NFTListener] Subscription socket closed, reconnecting');
+            this.stopSubscription();
+            this.lastFailedEndpointUrl = this.activeEndpointUrl;
+            this.isListening = false;
+            if (this.hasActiveTabs()) {
+                this.scheduleReconnect();
+            }
+            return;
+        }
+        if (Date.now() - this.lastHeadAt > SUBSCRIPTION_STALE_MS) {
+            console.warn('[NFTListener] No new heads for', Math.round((Date.now() - this.lastHeadAt) / 1000), 's, falling back to HTTP polling');
+            this.fallBackToHttpPolling();
+        }
+    }
+
+    /**
+     * Replace a stale subscription with HTTP polling
+     * The socket looks open but stopped pushing, so its provider is not trusted for polling either.
+     * Polling resumes from lastProcessedBlock, and the subscription is retried every RESUBSCRIBE_INTERVAL_MS.
+     */
+    async fallBackToHttpPolling() {
+        const logFilter = this.logFilter;
+        this.stopSubscription();
+        this.lastFailedEndpointUrl = this.activeEndpointUrl;
+        await this.destroyProvider();
+
+        if (!(await this.initializeProvider({ httpOnly: true }))) {
+            this.isListening = false;
+            if (this.hasActiveTabs()) {
+                this.scheduleReconnect();
+            }
+            return;
+        }
+        this.logFilter = logFilter;
+        this.startPolling();
+        this.resubscribeHandle = setInterval(() => this.tryResubscribe(), RESUBSCRIBE_INTERVAL_MS);
+        await this.updateStorageStatus();
+    }
+
+    /**
+     * Move from fallback HTTP polling back to a subscription once a WebSocket endpoint answers
+     */
+    async tryResubscribe() {
+        if (this.isResubscribing || !this.resubscribeHandle) {
+            return;
+        }
+        const wsEndpoint = await endpointHealth.pick('ws');
+        if (!wsEndpoint) {
+            return;
+        }
+
+        this.isResubscribing = true;
+        let provider;
+        try {
+            provider = this.createProvider(wsEndpoint, 'ws');
+            const network = await endpointHealth.measure(wsEndpoint, () => provider.getNetwork());
+            this.checkChainId(network);
+        } catch (error) {
+            console.warn('[NFTListener] Re-subscribe failed on', wsEndpoint, '-', error.message);
+            provider?.destroy();
+            return;
+        } finally {
+            this.isResubscribing = false;
+        }
+        if (!this.resubscribeHandle) {
+            provider.destroy(); // Listening stopped or reconnected while the socket was opening
+            return;
+        }
+
+        console.log('[NFTListener] Re-subscribing over', wsEndpoint);
+        this.stopPolling();
+        const httpProvider = this.provider;
+        this.provider = provider;
+        this.activeEndpoint = wsEndpoint;
+        this.activeEndpointUrl = wsEndpoint;
+        this.connectionTimestamp = new Date().toISOString();
+        httpProvider?.destroy();
+        try {
+            await this.startSubscription();
+        } catch (error) {
+            await this.rotateEndpoint(`re-subscribe failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {object} [options] - { keepProvider } unsubscribes on the node so the provider can subscribe again.
+     *   Otherwise the provider only drops events until it is destroyed, which ends the subscriptions with the
+     *   socket: an eth_unsubscribe still in flight then would be rejected inside ethers, where nothing catches it.
+     */
+    stopSubscription({ keepProvider = false } = {}) {
+        if (this.subscriptionWatchdogHandle) {
+            clearInterval(this.subscriptionWatchdogHandle);
+            this.subscriptionWatchdogHandle = null;
+        }
+        if (!keepProvider && this.provider && (this.onSubscribedTransfer || this.onNewHead)) {
+            this.provider.pause(true);
+        } else {
+            if (this.onSubscribedTransfer && this.provider && this.logFilter) {
+                this.provider.off(this.logFilter, this.onSubscribedTransfer).catch(() => {});
+            }
+            if (this.onNewHead && this.provider) {
+                this.provider.off('block', this.onNewHead).catch(() => {});
+            }
+        }
+        this.onSubscribedTransfer = null;
+        this.onNewHead = null;
+        if (this.mode === 'subscription') {
+            this.mode = null;
+            console.log('[NFTListener] Subscription stopped');
         }
     }
 
     stopPolling() {
+        // Retrying the subscription only makes sense while falling back to polling
+        if (this.resubscribeHandle) {
+            clearInterval(this.resubscribeHandle);
+            this.resubscribeHandle = null;
+        }
         if (this.pollIntervalHandle) {
             clearInterval(this.pollIntervalHandle);
             this.pollIntervalHandle = null;
@@ -321,8 +858,18 @@ class NFTListener {
 
     async stopListening() {
         this.stopPolling();
+        this.stopSubscription();
+        endpointHealth.stopProbing();
+        chrome.alarms.clear(KEEP_ALIVE_ALARM);
         this.isListening = false;
         this.connectionStatus = 'disconnected';
+
+        // Nobody is listening anymore, so the next start begins at the head again
+        this.lastProcessedBlock = null;
+        this.backfill = null;
+        this.pendingTransfers.clear();
+        this.finalizedBlocks.clear();
+        await chrome.storage.local.remove('nft-listener-checkpoint');
         await this.updateStorageStatus();
         console.log('[NFTListener] Stopped listening to Transfer events');
 
@@ -346,8 +893,8 @@ class NFTListener {
         console.log('[NFTListener] Destroying provider...');
 
         // For WebSocketProvider, we need to destroy it and wait for close
-        if (this.provider._websocket) {
-            const ws = this.provider._websocket;
+        const ws = this.getSocket();
+        if (ws) {
             const readyState = ws.readyState;
             console.log('[NFTListener] WebSocket readyState before destroy:', readyState);
 
@@ -355,7 +902,7 @@ class NFTListener {
             if (readyState === 3) { // CLOSED
                 console.log('[NFTListener] WebSocket already closed');
                 this.provider = null;
-                this.contract = null;
+                this.logFilter = null;
                 return;
             }
 
@@ -398,7 +945,7 @@ class NFTListener {
         }
 
         this.provider = null;
-        this.contract = null;
+        this.logFilter = null;
         console.log('[NFTListener] Provider destroyed');
     }
 
@@ -416,6 +963,7 @@ class NFTListener {
             console.error('[NFTListener] Max reconnect attempts reached, giving up');
             this.connectionStatus = 'failed';
             await this.updateStorageStatus();
+            await notifier.notify('listenerFailed', { attempts: this.maxReconnectAttempts });
             return;
         }
 
@@ -429,14 +977,15 @@ class NFTListener {
         }
 
         this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
             console.log('[NFTListener] Executing reconnect attempt...');
             this.startListening().then((success) => {
                 if (success) {
                     console.log('[NFTListener] Reconnection successful!');
                     this.reconnectAttempts = 0; // Reset on success
                 } else {
+                    // The failed start already scheduled the next attempt
                     console.log('[NFTListener] Reconnection failed, will retry');
-                    this.scheduleReconnect();
                 }
             }).catch((error) => {
                 console.error('[NFTListener] Reconnection error:', error);
@@ -457,7 +1006,11 @@ class NFTListener {
                     lastTransferEvent: this.lastTransferEvent,
                     connectionTimestamp: this.connectionTimestamp,
                     listeningTabsCount: this.tabs.size,
-                    isListening: this.isListening
+                    isListening: this.isListening,
+                    mode: this.mode,
+                    network: this.network && { id: this.network.id, name: this.network.name },
+                    collections: this.collections.map(collection => ({ id: collection.id, name: collection.name })),
+                    backfill: this.backfill
                 }
             });
             console.log('[NFTListener] Status updated in storage:', this.connectionStatus);
@@ -471,8 +1024,9 @@ class NFTListener {
      * @param {string} from - Sender address
      * @param {string} to - Recipient address
      * @param {BigNumberish} tokenId - Token ID
+     * @param {ethers.EventLog} event - Log the transfer came from, used for sale enrichment
      */
-    async onTransferDetected(from, to, tokenId) {
+    async onTransferDetected(from, to, tokenId, event) {
         try {
             // Validate parameters
             if (tokenId === undefined || tokenId === null) {
@@ -484,17 +1038,77 @@ class NFTListener {
             const tokenIdStr = tokenId.toString();
             console.log('[NFTListener] Transfer detected - TokenID:', tokenIdStr, 'From:', from, 'To:', to);
 
+            const collection = event?.collection || this.collections[0];
+
+            // Decode the sale price from the transaction; a failed lookup still reports the transfer
+            let sale = { marketplaceInvolved: false, isSale: false, price: null };
+            if (event?.transactionHash) {
+                try {
+                    sale = await enrichTransfer(this.provider, collection, event.transactionHash, from, to);
+                } catch (error) {
+                    console.warn('[NFTListener] Sale enrichment failed for', event.transactionHash, error.message);
+                }
+            }
+
             // Track the last transfer event
             this.lastTransferEvent = {
                 tokenId: tokenIdStr,
+                collection: { id: collection.id, name: collection.name },
                 from: from,
                 to: to,
+                txHash: event?.transactionHash || null,
+                marketplaceInvolved: sale.marketplaceInvolved,
+                isSale: sale.isSale,
+                salePrice: sale.price,
                 timestamp: new Date().toISOString(),
-                url: `https://www.renaiss.xyz/card/${tokenIdStr}`
+                url: getCardUrl(collection, tokenIdStr)
             };
 
+            if (sale.isSale) {
+                await salesHistory.record({
+                    tokenId: tokenIdStr,
+                    collection: collection.id,
+                    price: sale.price,
+                    seller: from,
+                    buyer: to,
+                    txHash: event.transactionHash,
+                    blockNumber: event.blockNumber,
+                    timestamp: this.lastTransferEvent.timestamp
+                });
+            }
+
+            const decision = await transferFilter.evaluate({
+                tokenId: tokenIdStr,
+                collection: collection.id,
+                from,
+                to,
+                marketplaceInvolved: sale.marketplaceInvolved,
+                salePrice: sale.price
+            });
+            this.lastTransferEvent.droppedReason = decision.reason || null;
+            this.lastTransferEvent.watchlisted = decision.watchlistEntry !== null;
+            if (decision.watchlistEntry) {
+                console.log('[NFTListener] *** WATCHLISTED TOKEN', tokenIdStr, 'TRANSFERRED ***');
+                const notificationId = await notifier.notify('watchlistTransfer', {
+                    tokenId: tokenIdStr,
+                    collection: collection.id,
+                    collectionName: collection.name,
+                    salePrice: sale.price
+                });
+                if (notificationId && event?.transactionHash) {
+                    this.transferNotifications.set(event.transactionHash, notificationId);
+                    if (this.transferNotifications.size > MAX_TRACKED_NOTIFICATIONS) {
+                        this.transferNotifications.delete(this.transferNotifications.keys().next().value);
+                    }
+                }
+            }
+
             await this.updateStorageStatus();
 
+            if (!decision.actionable) {
+                return;
+            }
+
             // Broadcast to all listening marketplace tabs
             if (this.tabs.size > 0) {
                 for (const tabId of this.tabs) {
@@ -502,8 +1116,14 @@ class NFTListener {
                         chrome.tabs.sendMessage(tabId, {
                             action: 'transfer-detected',
                             tokenId: tokenIdStr,
+                            collection: collection.id,
+                            cardUrl: this.lastTransferEvent.url,
                             from: from,
-                            to: to
+                            to: to,
+                            txHash: event?.transactionHash || null,
+                            isSale: sale.isSale,
+                            salePrice: sale.price,
+                            watchlisted: decision.watchlistEntry !== null
                         });
                         console.log('[NFTListener] Sent transfer notification to tab', tabId);
                     } catch (error) {
@@ -525,6 +1145,7 @@ class NFTListener {
     registerTab(tabId) {
         this.tabs.add(tabId);
         console.log('[NFTListener] Registered tab', tabId, '- Total tabs:', this.tabs.size);
+        this.saveCheckpoint();
     }
 
     /**
@@ -534,6 +1155,7 @@ class NFTListener {
     unregisterTab(tabId) {
         this.tabs.delete(tabId);
         console.log('[NFTListener] Unregistered tab', tabId, '- Total tabs:', this.tabs.size);
+        this.saveCheckpoint();
     }
 
     /**
@@ -543,6 +1165,108 @@ class NFTListener {
     hasActiveTabs() {
         return this.tabs.size > 0;
     }
+
+    // Unconfirmed transfers are not persisted, so resume from just before the oldest one
+    getCheckpointBlock() {
+        const pendingBlocks = [...this.pendingTransfers.values()].map(event => event.blockNumber);
+        if (pendingBlocks.length === 0 || this.lastProcessedBlock === null) {
+            return this.lastProcessedBlock;
+        }
+        return Math.min(this.lastProcessedBlock, Math.min(...pendingBlocks) - 1);
+    }
+
+    /**
+     * Persist the state needed to pick up where we left off after a service worker restart
+     */
+    async saveCheckpoint() {
+        try {
+            await chrome.storage.local.set({
+                'nft-listener-checkpoint': {
+                    tabs: [...this.tabs],
+                    network: this.network?.id || null,
+                    lastProcessedBlock: this.getCheckpointBlock(),
+                    processedEventKeys: [...this.processedTxHashesForDeduplication].slice(-CHECKPOINT_DEDUPE_KEYS),
+                    savedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('[NFTListener] Failed to save checkpoint:', error);
+        }
+    }
+
+    /**
+     * Restore tabs and block position from the checkpoint and resume listening
+     * Called when the service worker starts and from the keep-alive alarm.
+     * @returns {Promise<boolean>} True when listening is active afterwards
+     */
+    async resume() {
+        if (this.isListening) {
+            return true;
+        }
+        // Reconnects already in flight, or given up until a tab asks again
+        if (this.reconnectTimeout || this.connectionStatus === 'failed') {
+            return false;
+        }
+
+        const { 'nft-listener-checkpoint': checkpoint } = await chrome.storage.local.get('nft-listener-checkpoint');
+        if (!checkpoint) {
+            return false;
+        }
+
+        // Only tabs that still exist keep listening
+        for (const tabId of checkpoint.tabs) {
+            try {
+                await chrome.tabs.get(tabId);
+                this.tabs.add(tabId);
+            } catch (error) {
+                console.log('[NFTListener] Checkpointed tab', tabId, 'is gone');
+            }
+        }
+        if (!this.hasActiveTabs()) {
+            console.log('[NFTListener] No checkpointed tabs left, not resuming');
+            await this.stopListening();
+            return false;
+        }
+
+        // Block numbers from another chain mean nothing here
+        const network = await getActiveNetwork();
+        if (this.lastProcessedBlock === null && (checkpoint.network || network.id) === network.id) {
+            this.lastProcessedBlock = checkpoint.lastProcessedBlock;
+        }
+        for (const key of checkpoint.processedEventKeys || []) {
+            this.processedTxHashesForDeduplication.add(key);
+        }
+        console.log('[NFTListener] Resuming with', this.tabs.size, 'tab(s) from block', this.lastProcessedBlock, '(checkpoint', checkpoint.savedAt + ')');
+
+        return this.startListening();
+    }
+
+    /**
+     * Pick up a changed network or collection selection while listening
+     * Switching networks drops the block position and pending transfers; a new
+     * collection set on the same network keeps the connection and position.
+     */
+    async applyNetworkSettings() {
+        if (!this.isListening) {
+            return false; // The next start reads the new settings
+        }
+        const network = await getActiveNetwork();
+        const networkChanged = network.id !== this.network?.id;
+        console.log('[NFTListener] Network settings changed' + (networkChanged ? ', switching to ' + network.name : ', updating collections'));
+
+        this.stopPolling();
+        this.stopSubscription({ keepProvider: !networkChanged });
+        this.isListening = false;
+        if (networkChanged) {
+            this.lastProcessedBlock = null;
+            this.backfill = null;
+            this.pendingTransfers.clear();
+            this.finalizedBlocks.clear();
+            this.lastFailedEndpointUrl = null;
+            await this.destroyProvider();
+        }
+        return this.startListening();
+    }
 }
 
 export const nftListener = new NFTListener();
@@ -0,0 +1,124 @@
+// src/notifier.js
+/**
+ * Notifier Module
+ * Desktop notifications for transfers, offers and listener failures; clicking one opens the card
+ */
+
+import { getCardUrl, getCollection } from './contracts.js';
+import './settings-defaults.js'; // Classic script shared with the popup
+
+const { DEFAULT_NOTIFICATION_SETTINGS } = globalThis;
+
+// 32x32 purple dot; the extension ships no icon files
+const NOTIFICATION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAZ0lEQVR42u3XSw4AEAxFUQu1I/s1ZQFC0N8Tr4nxPTNtSi9NybXtvJCoCUYaFyG04lcI7fgRwiq+hbCOLxFe8Snib4B3fEAQQAABBIQD+BdAAMIXEoiVDGIphVjLIQ4TiNMM4ji1ng7hMERpVo132wAAAABJRU5ErkJggg==';
+
+// Amounts arrive from content scripts and may be missing or non-numeric
+function formatUsd(amount) {
+    return typeof amount === 'number' && isFinite(amount) ? `$${amount.toFixed(2)}` : 'an unknown amount';
+}
+
+// Builds { title, message } for each event type
+const NOTIFICATION_FORMATS = {
+    watchlistTransfer: ({ tokenId, collectionName, salePrice }) => ({
+        title: 'Watchlisted card transferred',
+        message: (collectionName ? `${collectionName} token ${tokenId}` : `Token ${tokenId}`) + (salePrice ? ` sold for ${formatUsd(salePrice)}` : ' changed hands')
+    }),
+    offerPlaced: ({ tokenId, amount, duration }) => ({
+        title: 'Offer placed',
+        message: `${formatUsd(amount)} on token ${tokenId}` + (duration ? ` for ${duration}` : '')
+    }),
+    offerFailed: ({ tokenId, amount, error }) => ({
+        title: 'Offer failed',
+        message: `Token ${tokenId}` + (amount ? ` (${formatUsd(amount)})` : '') + `: ${error || 'unknown error'}`
+    }),
+    outbid: ({ tokenId, topPrice }) => ({
+        title: 'Outbid',
+        message: `Token ${tokenId}: top offer is now ${formatUsd(topPrice)}`
+    }),
+    transferReorged: ({ tokenId, txHash }) => ({
+        title: 'Transfer reorged out',
+        message: `Token ${tokenId}: transaction ${String(txHash).slice(0, 10)}… is no longer on chain. Offers it triggered are flagged in the history.`
+    }),
+    listenerFailed: ({ attempts }) => ({
+        title: 'Transfer listener stopped',
+        message: `Could not reconnect after ${attempts} attempts. Reopen the marketplace tab to retry.`
+    })
+};
+
+// Card notifications carry their collection and token in the ID so clicks still work after a service
+// worker restart; IDs from before collections existed have no collection part
+const CARD_NOTIFICATION_PATTERN = /^card-(?:([^/:]+)\/)?([^:]+):/;
+
+class Notifier {
+    async getSettings() {
+        const result = await chrome.storage.local.get('notificationSettings');
+        return { ...DEFAULT_NOTIFICATION_SETTINGS, ...result.notificationSettings };
+    }
+
+    /**
+     * Show a notification when its type is enabled
+     * @param {string} type - Key of DEFAULT_NOTIFICATION_SETTINGS
+     * @param {object} details - Event fields; tokenId (and collection, for other than the built-in one) makes the notification open the card
+     * @returns {Promise<string|null>} - Notification ID, or null when nothing was shown
+     */
+    async notify(type, details = {}) {
+        const format = NOTIFICATION_FORMATS[type];
+        if (!format) {
+            console.warn('[Notifier] Unknown notification type:', type);
+            return null;
+        }
+        const settings = await this.getSettings();
+        if (!settings[type]) {
+            return null;
+        }
+
+        const hasCard = details.tokenId !== undefined && details.tokenId !== null;
+        const cardKey = details.collection ? `${details.collection}/${details.tokenId}` : details.tokenId;
+        const notificationId = `${hasCard ? `card-${cardKey}` : type}:${Date.now()}`;
+        try {
+            const { title, message } = format(details);
+            await chrome.notifications.create(notificationId, {
+                type: 'basic',
+                iconUrl: NOTIFICATION_ICON,
+                title,
+                message,
+                priority: type === 'offerFailed' || type === 'listenerFailed' ? 2 : 0
+            });
+            console.log('[Notifier]', title, '-', message);
+            return notificationId;
+        } catch (error) {
+            console.error('[Notifier] Failed to show', type, 'notification:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Take down a notification that no longer holds, e.g. for a reorged transfer
+     * @param {string} notificationId - ID returned by notify()
+     */
+    async retract(notificationId) {
+        try {
+            await chrome.notifications.clear(notificationId);
+        } catch (error) {
+            console.error('[Notifier] Failed to clear notification:', error);
+        }
+    }
+
+    /**
+     * Open the card behind a clicked notification
+     * @param {string} notificationId - Clicked notification
+     */
+    async handleClick(notificationId) {
+        chrome.notifications.clear(notificationId);
+        const match = CARD_NOTIFICATION_PATTERN.exec(notificationId);
+        if (!match) {
+            return;
+        }
+        const collection = await getCollection(match[1]);
+        if (collection) {
+            await chrome.tabs.create({ url: getCardUrl(collection, match[2]), active: true });
+        }
+    }
+}
+
+export const notifier = new Notifier();
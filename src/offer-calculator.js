@@ -0,0 +1,53 @@
+/**
+ * Local offer calculator
+ * Client-side estimate used when /calculate_offer is unreachable. Works from the same
+ * inputs as the server and approximates its two modes:
+ * - Stable (riskTaker = false): outbid the best competing offer by 0.5%, never above 98% of FMV.
+ *   With no competing offers, open at 90% of FMV.
+ * - Risk taker (riskTaker = true): outbid the best competing offer by 2%, up to 103% of FMV.
+ *   With no competing offers, open at 96% of FMV.
+ * Offers never exceed the listing price minus one cent, and the owner's own offers are ignored.
+ */
+const LOCAL_OFFER_MODES = {
+    stable: { increment: 0.005, ceiling: 0.98, opening: 0.90 },
+    riskTaker: { increment: 0.02, ceiling: 1.03, opening: 0.96 }
+};
+
+/**
+ * Estimate an offer without the backend
+ * @param {number} fmv - Fair market value
+ * @param {number} list - Current listing price, 0 when unlisted
+ * @param {string} owner - Owner address as shown on the page
+ * @param {string[]} bidders - Competing bidder addresses
+ * @param {string[]} prices - Competing offer prices, aligned with bidders
+ * @param {boolean} riskTaker - Use the risk-taker mode
+ * @returns {number} - Offer in USD, 0 when the best competing offer can't be beaten
+ */
+function calculateLocalOffer(fmv, list, owner, bidders, prices, riskTaker) {
+    if (!fmv || fmv <= 0) {
+        return 0;
+    }
+    const mode = riskTaker ? LOCAL_OFFER_MODES.riskTaker : LOCAL_OFFER_MODES.stable;
+
+    let ceiling = fmv * mode.ceiling;
+    if (list > 0) {
+        ceiling = Math.min(ceiling, list - 0.01);
+    }
+
+    const competingPrices = prices
+        .filter((price, index) => !addressesMatch(bidders[index], owner))
+        .map(price => safeParse(String(price).replace(/[^0-9.]/g, '')));
+    const bestOffer = competingPrices.length > 0 ? Math.max(...competingPrices) : 0;
+
+    let offer = bestOffer > 0
+        ? bestOffer + Math.max(0.01, bestOffer * mode.increment)
+        : fmv * mode.opening;
+
+    if (offer > ceiling) {
+        if (bestOffer >= ceiling) {
+            return 0;
+        }
+        offer = ceiling;
+    }
+    return Math.floor(offer * 100) / 100;
+}
@@ -0,0 +1,154 @@
+// src/offer-ledger.js
+/**
+ * Offer Ledger Module
+ * Persists every auto-offer decision in IndexedDB so runs can be reviewed later
+ */
+
+import { getTokenKey } from './contracts.js';
+
+const DB_NAME = 'renaiss-offer-ledger';
+const DB_VERSION = 2;
+const STORE_NAME = 'entries';
+// Offer counts older than this are too stale to score a listing with
+const OFFER_COUNT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+class OfferLedger {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create on first use) the ledger database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    let store;
+                    if (event.oldVersion < 1) {
+                        store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('timestamp', 'timestamp');
+                        store.createIndex('tokenId', 'tokenId');
+                        store.createIndex('result', 'result');
+                    } else {
+                        store = request.transaction.objectStore(STORE_NAME);
+                    }
+                    if (event.oldVersion < 2) {
+                        // Links offers to the transfer that opened their card tab
+                        store.createIndex('transferTxHash', 'transferTxHash');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Add a decision or offer to the ledger
+     * @param {object} entry - Ledger fields from the card page
+     * @returns {Promise<number>} - ID of the new entry
+     */
+    async record(entry) {
+        const db = await this.openDatabase();
+        const fullEntry = { ...entry, timestamp: entry.timestamp || new Date().toISOString() };
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const request = tx.objectStore(STORE_NAME).add(fullEntry);
+            request.onsuccess = () => {
+                console.log('[OfferLedger] Recorded entry', request.result, 'for token', fullEntry.tokenId, '-', fullEntry.result);
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Flag entries whose triggering transfer was reorged out of the chain
+     * @param {string} txHash - Transfer transaction hash
+     * @returns {Promise<number>} - Number of entries flagged
+     */
+    async markReorged(txHash) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            let count = 0;
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const request = tx.objectStore(STORE_NAME).index('transferTxHash').openCursor(IDBKeyRange.only(txHash));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+                cursor.update({ ...cursor.value, reorged: true });
+                count++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+            tx.oncomplete = () => {
+                if (count > 0) {
+                    console.log('[OfferLedger] Marked', count, 'entry(s) from transfer', txHash, 'as reorged');
+                }
+                resolve(count);
+            };
+        });
+    }
+
+    /**
+     * Open offers seen on the token's card page during the latest run
+     * @param {string} tokenId - Card token ID
+     * @param {string|null} [collectionId] - Defaults to the built-in collection; entries without one belong to it
+     * @returns {Promise<number|null>} - Null when the card was not visited recently
+     */
+    async getOfferCount(tokenId, collectionId) {
+        const since = new Date(Date.now() - OFFER_COUNT_MAX_AGE_MS).toISOString();
+        const key = getTokenKey(collectionId, tokenId);
+        const latest = (await this.query({ tokenId, since })).find(entry => getTokenKey(entry.collection, entry.tokenId) === key);
+        return Array.isArray(latest?.bidders) ? latest.bidders.length : null;
+    }
+
+    /**
+     * Read entries, newest first
+     * @param {object} filters - { tokenId, result, strategy, since, limit }
+     * @returns {Promise<object[]>}
+     */
+    async query(filters = {}) {
+        const db = await this.openDatabase();
+        const range = filters.since ? IDBKeyRange.lowerBound(filters.since) : null;
+        const limit = filters.limit || 500;
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const request = tx.objectStore(STORE_NAME).index('timestamp').openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) {
+                    resolve(entries);
+                    return;
+                }
+                const entry = cursor.value;
+                if ((!filters.tokenId || entry.tokenId === filters.tokenId) &&
+                    (!filters.result || entry.result === filters.result) &&
+                    (!filters.strategy || entry.strategy === filters.strategy)) {
+                    entries.push(entry);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+export const offerLedger = new OfferLedger();
@@ -0,0 +1,21 @@
+/**
+ * Get the competing offers for a card
+ * Prefers the on-chain reader (full addresses, exact amounts) and falls back to
+ * scraping the offers list when the chain read fails or finds fewer offers than the page shows.
+ * @param {string} tokenId - Card token ID
+ * @param {string|null} collection - Collection ID from the card URL; null is the built-in one
+ * @returns {Promise<{bidders: string[], prices: string[], source: string}>} - source is 'onchain' or 'dom'
+ */
+async function getOffers(tokenId, collection) {
+    const scraped = getAllOffers();
+    const onchain = await sendRuntimeMessage({ action: 'read-onchain-offers', tokenId, collection });
+
+    // The chain read only looks back so far; a page showing more offers knows about older ones
+    if (onchain && onchain.success && onchain.bidders.length >= scraped.bidders.length) {
+        console.log('[OFFERS] Using on-chain offers:', onchain.bidders.length);
+        return { bidders: onchain.bidders, prices: onchain.prices, source: 'onchain' };
+    }
+
+    console.warn('[OFFERS] Falling back to scraped offers:', onchain?.message || 'no on-chain offers found');
+    return { ...scraped, source: 'dom' };
+}
@@ -0,0 +1,172 @@
+// src/onchain-offers.js
+/**
+ * On-chain Offer Reader Module
+ * Rebuilds the open offers for a token from marketplace contract events,
+ * giving full bidder addresses and exact amounts instead of scraped page text
+ */
+
+import { ethers } from 'https://esm.sh/ethers@6.11.1';
+import { nftListener } from './nft-listener.js';
+import { getActiveNetwork, getCollection } from './contracts.js';
+import { endpointHealth } from './endpoint-health.js';
+import { LogChunker, getLogsInChunks } from './log-chunks.js';
+
+// Offer events emitted by the marketplace contract. All three index (bidder, nft, tokenId)
+// so one getLogs filter covers them.
+// These signatures are assumed: they have not been checked against the deployed contract's
+// source or a published ABI. checkOfferEvents() confirms them against the logs the contract
+// actually emits before any offers are read; until it does, card pages scrape the DOM.
+const MARKETPLACE_OFFER_ABI = [
+    'event OfferCreated(address indexed bidder, address indexed nft, uint256 indexed tokenId, uint256 price, uint256 expiresAt)',
+    'event OfferCancelled(address indexed bidder, address indexed nft, uint256 indexed tokenId)',
+    'event OfferAccepted(address indexed bidder, address indexed nft, uint256 indexed tokenId, address seller, uint256 price)'
+];
+
+// How far back the first read for a token looks (about a day of BSC blocks). Later reads only
+// fetch blocks since the previous one. Older offers are missed; card pages then use the
+// scraped list when it shows more offers.
+const OFFER_LOOKBACK_BLOCKS = 28800;
+// Recent marketplace logs sampled to confirm the offer event signatures
+const OFFER_ABI_CHECK_BLOCKS = 1000;
+// A failed or inconclusive confirmation is retried after this long
+const OFFER_ABI_RECHECK_MS = 60 * 60 * 1000;
+
+// Card tabs for the same token often open back to back
+const OFFER_CACHE_TTL_MS = 30 * 1000;
+const MAX_CACHED_TOKENS = 500;
+
+const offerInterface = new ethers.Interface(MARKETPLACE_OFFER_ABI);
+const OFFER_EVENT_TOPICS = ['OfferCreated', 'OfferCancelled', 'OfferAccepted'].map(name => offerInterface.getEvent(name).topicHash);
+
+const offerCache = new Map(); // collectionId:tokenId -> { openOffers, scannedBlock, offers, fetchedAt }
+const offerAbiChecks = new Map(); // collectionId -> { confirmed, reason, checkedAt }
+const httpLogChunker = new LogChunker(); // Used when reading through an HTTP endpoint instead of the listener
+
+/**
+ * Use the listener's provider when connected to the right network, otherwise the healthiest HTTP endpoint
+ * @param {string} networkId - Network the collection lives on
+ * @returns {Promise<{provider: ethers.Provider, chunker: LogChunker}>}
+ */
+async function getProvider(networkId) {
+    if ((await getActiveNetwork()).id !== networkId) {
+        throw new Error(`Collection is on ${networkId}, not the active network`);
+    }
+    if (nftListener.provider && nftListener.connectionStatus === 'connected') {
+        return { provider: nftListener.provider, chunker: nftListener.logChunker };
+    }
+    const endpoint = await endpointHealth.pick('http');
+    if (!endpoint) {
+        throw new Error('No HTTP RPC endpoints enabled');
+    }
+    return { provider: new ethers.JsonRpcProvider(endpoint), chunker: httpLogChunker };
+}
+
+/**
+ * Confirm the assumed offer events against recent marketplace logs
+ * Confirmed once any recent log decodes as an offer event. A marketplace that emits logs
+ * but none of these means the signatures are wrong; no logs at all proves nothing yet.
+ * @param {ethers.Provider} provider - RPC provider
+ * @param {LogChunker} chunker - Range state for the provider's endpoint
+ * @param {object} collection - Registry entry
+ * @param {number} latestBlock - Current head
+ * @throws {Error} - When the events are not confirmed
+ */
+async function checkOfferEvents(provider, chunker, collection, latestBlock) {
+    const known = offerAbiChecks.get(collection.id);
+    if (known && (known.confirmed || Date.now() - known.checkedAt < OFFER_ABI_RECHECK_MS)) {
+        if (!known.confirmed) {
+            throw new Error(known.reason);
+        }
+        return;
+    }
+
+    const logs = await getLogsInChunks(provider, { address: collection.marketplaceContract },
+        Math.max(latestBlock - OFFER_ABI_CHECK_BLOCKS, 0), latestBlock, chunker);
+    const confirmed = logs.some(log => {
+        try {
+            return OFFER_EVENT_TOPICS.includes(log.topics[0]) && offerInterface.parseLog(log) !== null;
+        } catch (error) {
+            return false;
+        }
+    });
+    const reason = logs.length > 0
+        ? `None of ${logs.length} recent ${collection.name} marketplace logs match the assumed offer events`
+        : `No recent ${collection.name} marketplace logs to confirm the offer events against`;
+    offerAbiChecks.set(collection.id, { confirmed, reason, checkedAt: Date.now() });
+    console.log('[OnchainOffers]', confirmed ? `Offer events confirmed for ${collection.name}` : reason);
+    if (!confirmed) {
+        throw new Error(reason);
+    }
+}
+
+/**
+ * Read the current open offers for a token
+ * @param {string} tokenId - Card token ID
+ * @param {string} [collectionId] - Collection the card belongs to, defaults to the built-in one
+ * @returns {Promise<{bidders: string[], prices: string[]}>} - Sorted by price, highest first
+ */
+export async function readOnchainOffers(tokenId, collectionId) {
+    const collection = await getCollection(collectionId);
+    if (!collection?.marketplaceContract || !collection.paymentToken) {
+        throw new Error(`No marketplace or payment token known for collection ${collectionId}`);
+    }
+    const cacheKey = `${collection.id}:${tokenId}`;
+    const cached = offerCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < OFFER_CACHE_TTL_MS) {
+        return cached.offers;
+    }
+
+    const { provider, chunker } = await getProvider(collection.network);
+    const latestBlock = await provider.getBlockNumber();
+    await checkOfferEvents(provider, chunker, collection, latestBlock);
+
+    // A token not read for longer than the lookback starts over rather than fetching the whole gap
+    const resume = cached && latestBlock - cached.scannedBlock <= OFFER_LOOKBACK_BLOCKS;
+    const startBlock = resume ? cached.scannedBlock + 1 : Math.max(latestBlock - OFFER_LOOKBACK_BLOCKS, 0);
+    const topics = [
+        OFFER_EVENT_TOPICS,
+        null,
+        ethers.zeroPadValue(collection.nftContract, 32),
+        ethers.toBeHex(BigInt(tokenId), 32)
+    ];
+    const logs = await getLogsInChunks(provider, { address: collection.marketplaceContract, topics }, startBlock, latestBlock, chunker);
+
+    // Replay new events over what earlier reads found; the latest event per bidder decides whether their offer is open
+    const openOffers = new Map(resume ? cached.openOffers : []); // bidder -> { price, expiresAt }
+    for (const log of logs) {
+        let parsed;
+        try {
+            parsed = offerInterface.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+        if (!parsed) {
+            continue;
+        }
+        const bidder = parsed.args.bidder;
+        if (parsed.name === 'OfferCreated') {
+            openOffers.set(bidder, { price: parsed.args.price, expiresAt: Number(parsed.args.expiresAt) });
+        } else {
+            openOffers.delete(bidder);
+        }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const active = [...openOffers.entries()]
+        .filter(([, offer]) => offer.expiresAt > now)
+        .sort(([, a], [, b]) => (b.price > a.price ? 1 : b.price < a.price ? -1 : 0));
+
+    const offers = {
+        bidders: active.map(([bidder]) => bidder),
+        prices: active.map(([, offer]) => ethers.formatUnits(offer.price, collection.paymentToken.decimals))
+    };
+    console.log('[OnchainOffers] Token', tokenId, '-', logs.length, 'new offer log(s) in blocks', startBlock, 'to', latestBlock + ',', offers.bidders.length, 'open offer(s)');
+
+    // Re-insert so the least recently read token is evicted first
+    offerCache.delete(cacheKey);
+    offerCache.set(cacheKey, { openOffers: new Map(active), scannedBlock: latestBlock, offers, fetchedAt: Date.now() });
+    if (offerCache.size > MAX_CACHED_TOKENS) {
+        offerCache.delete(offerCache.keys().next().value);
+    }
+    return offers;
+}
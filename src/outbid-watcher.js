@@ -0,0 +1,176 @@
+/**
+ * Outbid watcher
+ * Keeps a card tab open after an offer is placed and re-offers when another bidder tops it.
+ */
+
+// Wait for the offers list to settle before re-reading it
+const OUTBID_CHECK_DEBOUNCE_MS = 3000;
+
+function loadOutbidWatcherSettings() {
+    return new Promise(resolve => {
+        chrome.storage.local.get('outbidWatcher', (result) => {
+            resolve({ ...DEFAULT_OUTBID_WATCHER_SETTINGS, ...result.outbidWatcher });
+        });
+    });
+}
+
+/**
+ * Find the highest offer in the offers list
+ * @param {string[]} bidders - Bidder addresses from getAllOffers()
+ * @param {string[]} prices - Offer prices from getAllOffers()
+ * @returns {{bidder: string, price: number}|null}
+ */
+function getTopOffer(bidders, prices) {
+    let top = null;
+    prices.forEach((price, index) => {
+        const value = safeParse(String(price).replace(/[^0-9.]/g, ''));
+        if (!top || value > top.price) {
+            top = { bidder: bidders[index], price: value };
+        }
+    });
+    return top;
+}
+
+/**
+ * Watch the offers list and re-offer when outbid
+ * Resolves once the watch window ends or the card's re-bid cap is reached, and right away
+ * when no wallet address is configured.
+ * @param {object} context - { tokenId, collection, fmv, list, owner, userAddress, riskTaker, strategy, duration, paths, dryRun, transferTxHash, ceilingPremium, maxPrice }
+ *   ceilingPremium and maxPrice come from the card's watchlist entry; a null ceilingPremium uses the watcher
+ *   setting, a null maxPrice leaves only the FMV ceiling
+ * @param {number} lastOffer - Amount of the offer that was just placed
+ * @returns {Promise<void>}
+ */
+async function watchForOutbids(context, lastOffer) {
+    // Without our address every top offer, our own included, looks like an outbid
+    if (!context.userAddress) {
+        console.warn(`%c[OUTBID] Not watching token ${context.tokenId}: set your wallet address in the popup first`, "color: #38bdf8");
+        return;
+    }
+    const settings = await loadOutbidWatcherSettings();
+    const ceilingPremium = context.ceilingPremium ?? settings.ceilingPremium;
+    let ceiling = Math.floor(context.fmv * (1 + ceilingPremium) * 100) / 100;
+    // Re-bids honor the watchlist max price just like the first offer
+    if (context.maxPrice !== null && context.maxPrice !== undefined) {
+        ceiling = Math.min(ceiling, context.maxPrice);
+    }
+    let rebids = 0;
+    let busy = false;
+    let debounceHandle = null;
+    let lastNotifiedPrice = null; // One outbid notification per competing price
+
+    console.log(`%c[OUTBID] Watching token ${context.tokenId} for ${settings.watchMinutes} min (ceiling $${ceiling.toFixed(2)}, max ${settings.maxRebids} re-bids)`, "color: #38bdf8");
+
+    return new Promise(resolve => {
+        let observer;
+        let watchTimeout;
+
+        const stop = (reason) => {
+            console.log(`%c[OUTBID] Stopped watching token ${context.tokenId}: ${reason}`, "color: #38bdf8");
+            observer.disconnect();
+            clearTimeout(debounceHandle);
+            clearTimeout(watchTimeout);
+            resolve();
+        };
+
+        const check = async () => {
+            if (busy) {
+                return;
+            }
+            busy = true;
+            try {
+                const { bidders, prices } = getAllOffers();
+                const top = getTopOffer(bidders, prices);
+                if (!top || isUserCurrentlyBidding(context.userAddress, [top.bidder])) {
+                    return;
+                }
+
+                console.log(`[OUTBID] Outbid on token ${context.tokenId}: top offer $${top.price.toFixed(2)} by ${top.bidder} (ours $${lastOffer.toFixed(2)})`);
+                if (top.price !== lastNotifiedPrice) {
+                    lastNotifiedPrice = top.price;
+                    sendRuntimeMessage({ action: 'notify', type: 'outbid', details: { tokenId: context.tokenId, topPrice: top.price } });
+                }
+                if (rebids >= settings.maxRebids) {
+                    stop(`re-bid cap (${settings.maxRebids}) reached`);
+                    return;
+                }
+
+                let targetOffer;
+                try {
+                    targetOffer = await getCalculatedOffer(context.tokenId, context.fmv, context.list, context.owner, bidders, prices, context.riskTaker);
+                } catch (error) {
+                    stop(`backend rejected /calculate_offer (${error.message})`);
+                    return;
+                }
+                let offerSource = 'server';
+                if (targetOffer === null) {
+                    targetOffer = calculateLocalOffer(context.fmv, context.list, context.owner, bidders, prices, context.riskTaker);
+                    offerSource = 'local';
+                }
+
+                const amount = Math.min(targetOffer, ceiling);
+                console.log(`[OUTBID] Re-evaluated target $${targetOffer.toFixed(2)} (${offerSource}), capped offer $${amount.toFixed(2)}`);
+                if (amount <= top.price) {
+                    console.log(`[OUTBID] Cannot beat $${top.price.toFixed(2)} within ceiling $${ceiling.toFixed(2)}, waiting`);
+                    return;
+                }
+
+                // Only offers that went out (or would have, in dry run) use up the cap; a budget
+                // rejection or failed attempt is retried on the next change to the offers list
+                const rebid = rebids + 1;
+                let result = 'budget-rejected';
+                const reservation = await reserveBudget(context.tokenId, amount, context.collection);
+                if (reservation.success) {
+                    result = await executeAutoOffer(amount, context.paths, {
+                        dryRun: context.dryRun,
+                        tokenId: context.tokenId,
+                        duration: context.duration
+                    });
+                    await settleBudget(reservation.reservationId, result, context.duration);
+                } else {
+                    console.warn('[OUTBID] Re-bid skipped:', reservation.reason);
+                }
+                if (result === 'placed' || result === 'dry-run') {
+                    rebids = rebid;
+                }
+                console.log(`[OUTBID] Re-bid ${rebid}/${settings.maxRebids} on token ${context.tokenId}: $${amount.toFixed(2)} -> ${result}`);
+
+                await recordLedgerEntry({
+                    tokenId: context.tokenId,
+                    collection: context.collection,
+                    fmv: context.fmv,
+                    list: context.list,
+                    owner: context.owner,
+                    bidders,
+                    prices,
+                    targetOffer,
+                    offerSource,
+                    offerAmount: amount,
+                    amountPlaced: result === 'placed' ? amount : null,
+                    duration: context.duration,
+                    strategy: context.strategy,
+                    reason: `Outbid by ${top.bidder} at $${top.price.toFixed(2)} (re-bid ${rebid}/${settings.maxRebids})`,
+                    trigger: 'outbid-watcher',
+                    transferTxHash: context.transferTxHash,
+                    result
+                });
+
+                if (result === 'placed') {
+                    lastOffer = amount;
+                }
+            } catch (error) {
+                console.error('[OUTBID] Check failed:', error);
+            } finally {
+                busy = false;
+            }
+        };
+
+        observer = new MutationObserver(() => {
+            clearTimeout(debounceHandle);
+            debounceHandle = setTimeout(check, OUTBID_CHECK_DEBOUNCE_MS);
+        });
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+        watchTimeout = setTimeout(() => stop('watch window ended'), settings.watchMinutes * 60 * 1000);
+    });
+}
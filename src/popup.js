@@ -1,11 +1,13 @@
 document.addEventListener('DOMContentLoaded', () => {
     const riskTakerCheckbox = document.getElementById('risk-taker-checkbox');
     const dontCloseCheckbox = document.getElementById('dont-close-checkbox');
+    const dryRunCheckbox = document.getElementById('dry-run-checkbox');
 
     // Load saved settings
-    chrome.storage.local.get(['isRiskTaker', 'dontCloseWindow'], (result) => {
+    chrome.storage.local.get(['isRiskTaker', 'dontCloseWindow', 'dryRun'], (result) => {
         riskTakerCheckbox.checked = result.isRiskTaker; // Default to true
         dontCloseCheckbox.checked = result.dontCloseWindow;
+        dryRunCheckbox.checked = result.dryRun;
     });
 
     // Save settings on change
@@ -17,6 +19,10 @@ document.addEventListener('DOMContentLoaded', () => {
         chrome.storage.local.set({ dontCloseWindow: event.target.checked });
     });
 
+    dryRunCheckbox.addEventListener('change', (event) => {
+        chrome.storage.local.set({ dryRun: event.target.checked });
+    });
+
     // Load and display saved address
     const userAddressInput = document.getElementById('userAddress');
     const addressSavedSpan = document.getElementById('addressSaved');
@@ -72,6 +78,1030 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+/**
+ * Offer Strategy Profiles
+ */
+
+/**
+ * Convert a fraction to a whole-number percentage for the inputs
+ * @param {number|null} value - Fraction like 0.95
+ * @returns {string} - Percentage string, empty when value is null
+ */
+function toPercentInput(value) {
+    return value === null || value === undefined ? '' : String(Math.round(value * 10000) / 100);
+}
+
+/**
+ * Fill a select with the known offer durations
+ * @param {HTMLSelectElement} select - Select element to fill
+ * @param {string} emptyLabel - Label for an empty "use default" option, omitted when not given
+ */
+function fillDurationOptions(select, emptyLabel) {
+    const values = emptyLabel ? ['', ...OFFER_DURATIONS] : OFFER_DURATIONS;
+    for (const value of values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || emptyLabel;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Format duration tiers as "2=3 days, 5=7 days"
+ * @param {object[]} tiers - [{ minPremium, duration }]
+ * @returns {string}
+ */
+function formatDurationTiers(tiers) {
+    return (tiers || [])
+        .map(tier => `${toPercentInput(tier.minPremium)}=${tier.duration}`)
+        .join(', ');
+}
+
+/**
+ * Parse "2=3 days, 5=7 days" into duration tiers, skipping unknown durations
+ * @param {string} text - Tier text from the input
+ * @returns {object[]} - [{ minPremium, duration }]
+ */
+function parseDurationTiers(text) {
+    return text.split(',')
+        .map(part => part.split('=').map(piece => piece.trim()))
+        .filter(([premium, duration]) => premium !== '' && OFFER_DURATIONS.includes(duration))
+        .map(([premium, duration]) => ({ minPremium: (parseFloat(premium) || 0) / 100, duration }));
+}
+
+async function initDurationSettings() {
+    const select = document.getElementById('offer-duration-select');
+    fillDurationOptions(select);
+
+    const { offerDuration } = await chrome.storage.local.get('offerDuration');
+    select.value = offerDuration || DEFAULT_OFFER_DURATION;
+
+    select.addEventListener('change', () => {
+        chrome.storage.local.set({ offerDuration: select.value });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initDurationSettings);
+
+async function initStrategySettings() {
+    const select = document.getElementById('strategy-select');
+    const thresholdInput = document.getElementById('strategy-threshold');
+    const fallbackInput = document.getElementById('strategy-fallback');
+    const maxPremiumInput = document.getElementById('strategy-max-premium');
+    const keepAliveCheckbox = document.getElementById('strategy-keep-alive');
+    const durationSelect = document.getElementById('strategy-duration');
+    const durationTiersInput = document.getElementById('strategy-duration-tiers');
+    const newNameInput = document.getElementById('strategy-new-name');
+    const statusText = document.getElementById('strategy-status');
+
+    const stored = await chrome.storage.local.get(['activeStrategy', 'strategyProfiles']);
+    let savedProfiles = stored.strategyProfiles || {};
+    let activeName = stored.activeStrategy || DEFAULT_STRATEGY_NAME;
+
+    fillDurationOptions(durationSelect, 'Use default');
+
+    function render() {
+        const profiles = mergeStrategyProfiles(savedProfiles);
+        if (!profiles[activeName]) {
+            activeName = DEFAULT_STRATEGY_NAME;
+        }
+
+        select.innerHTML = '';
+        for (const [name, profile] of Object.entries(profiles)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = profile.label || name;
+            select.appendChild(option);
+        }
+        select.value = activeName;
+
+        const profile = profiles[activeName];
+        thresholdInput.value = toPercentInput(profile.threshold);
+        fallbackInput.value = profile.fallbackAmount.toFixed(2);
+        maxPremiumInput.value = toPercentInput(profile.maxPremium);
+        keepAliveCheckbox.checked = profile.keepAlive;
+        durationSelect.value = profile.duration || '';
+        durationTiersInput.value = formatDurationTiers(profile.durationTiers);
+    }
+
+    function saveProfileFields() {
+        const maxPremium = maxPremiumInput.value.trim();
+        savedProfiles = {
+            ...savedProfiles,
+            [activeName]: {
+                ...savedProfiles[activeName],
+                threshold: (parseFloat(thresholdInput.value) || 0) / 100,
+                fallbackAmount: parseFloat(fallbackInput.value) || 0,
+                maxPremium: maxPremium === '' ? null : (parseFloat(maxPremium) || 0) / 100,
+                keepAlive: keepAliveCheckbox.checked,
+                duration: durationSelect.value || null,
+                durationTiers: parseDurationTiers(durationTiersInput.value)
+            }
+        };
+        chrome.storage.local.set({ strategyProfiles: savedProfiles });
+    }
+
+    select.addEventListener('change', () => {
+        activeName = select.value;
+        chrome.storage.local.set({ activeStrategy: activeName });
+        render();
+    });
+
+    for (const input of [thresholdInput, fallbackInput, maxPremiumInput, keepAliveCheckbox, durationSelect, durationTiersInput]) {
+        input.addEventListener('change', saveProfileFields);
+    }
+
+    document.getElementById('strategy-save-as').addEventListener('click', () => {
+        const label = newNameInput.value.trim();
+        const name = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!name) {
+            statusText.textContent = 'Profile names need at least one letter or digit.';
+            return;
+        }
+        if (DEFAULT_STRATEGY_PROFILES[name]) {
+            statusText.textContent = `"${label}" is a built-in profile; pick another name.`;
+            return;
+        }
+        const current = mergeStrategyProfiles(savedProfiles)[activeName];
+        savedProfiles = { ...savedProfiles, [name]: { ...current, label } };
+        activeName = name;
+        newNameInput.value = '';
+        chrome.storage.local.set({ strategyProfiles: savedProfiles, activeStrategy: activeName });
+        statusText.textContent = `Saved ${label}.`;
+        render();
+    });
+
+    document.getElementById('strategy-reset').addEventListener('click', () => {
+        const { [activeName]: removed, ...remaining } = savedProfiles;
+        savedProfiles = remaining;
+        render();
+        chrome.storage.local.set({ strategyProfiles: savedProfiles, activeStrategy: activeName });
+    });
+
+    render();
+}
+
+document.addEventListener('DOMContentLoaded', initStrategySettings);
+
+/**
+ * Outbid Watcher
+ */
+
+async function initOutbidWatcherSettings() {
+    const enabledCheckbox = document.getElementById('outbid-watcher-checkbox');
+    const maxRebidsInput = document.getElementById('outbid-max-rebids');
+    const ceilingInput = document.getElementById('outbid-ceiling-premium');
+    const watchMinutesInput = document.getElementById('outbid-watch-minutes');
+
+    const { outbidWatcher } = await chrome.storage.local.get('outbidWatcher');
+    const settings = { ...DEFAULT_OUTBID_WATCHER_SETTINGS, ...outbidWatcher };
+    enabledCheckbox.checked = settings.enabled;
+    maxRebidsInput.value = settings.maxRebids;
+    ceilingInput.value = toPercentInput(settings.ceilingPremium);
+    watchMinutesInput.value = settings.watchMinutes;
+
+    const save = () => {
+        chrome.storage.local.set({
+            outbidWatcher: {
+                enabled: enabledCheckbox.checked,
+                maxRebids: parseInt(maxRebidsInput.value, 10) || 0,
+                ceilingPremium: (parseFloat(ceilingInput.value) || 0) / 100,
+                watchMinutes: parseInt(watchMinutesInput.value, 10) || DEFAULT_OUTBID_WATCHER_SETTINGS.watchMinutes
+            }
+        });
+    };
+    for (const input of [enabledCheckbox, maxRebidsInput, ceilingInput, watchMinutesInput]) {
+        input.addEventListener('change', save);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initOutbidWatcherSettings);
+
+/**
+ * Notifications
+ */
+
+const NOTIFICATION_INPUTS = {
+    watchlistTransfer: 'notify-watchlist-transfer',
+    offerPlaced: 'notify-offer-placed',
+    offerFailed: 'notify-offer-failed',
+    outbid: 'notify-outbid',
+    listenerFailed: 'notify-listener-failed',
+    transferReorged: 'notify-transfer-reorged'
+};
+
+async function initNotificationSettings() {
+    const { notificationSettings } = await chrome.storage.local.get('notificationSettings');
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...notificationSettings };
+
+    for (const [key, id] of Object.entries(NOTIFICATION_INPUTS)) {
+        const checkbox = document.getElementById(id);
+        checkbox.checked = settings[key];
+        checkbox.addEventListener('change', async () => {
+            const { notificationSettings: current = {} } = await chrome.storage.local.get('notificationSettings');
+            await chrome.storage.local.set({
+                notificationSettings: { ...current, [key]: checkbox.checked }
+            });
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initNotificationSettings);
+
+/**
+ * Budget Caps
+ */
+
+const BUDGET_INPUTS = {
+    maxPerCardOffer: 'budget-max-per-card',
+    maxOpenExposure: 'budget-max-exposure',
+    dailyOfferCount: 'budget-daily-count',
+    dailyOfferAmount: 'budget-daily-amount'
+};
+
+function formatRemaining(value, prefix = '$') {
+    if (value === null || value === undefined) {
+        return 'no cap';
+    }
+    return prefix === '$' ? `$${value.toFixed(2)}` : String(value);
+}
+
+function renderBudgetStatus(status) {
+    const remainingText = document.getElementById('budget-remaining');
+    if (!remainingText || !status) {
+        return;
+    }
+    remainingText.textContent =
+        `Open exposure: $${status.openExposure.toFixed(2)} (${status.openOffersCount} offers) · ` +
+        `Remaining: ${formatRemaining(status.remaining.exposure)} exposure, ` +
+        `${formatRemaining(status.remaining.dailyCount, '')} offers / ` +
+        `${formatRemaining(status.remaining.dailyAmount)} today`;
+}
+
+async function initBudgetSettings() {
+    const { budgetSettings = {} } = await chrome.storage.local.get('budgetSettings');
+
+    for (const [key, id] of Object.entries(BUDGET_INPUTS)) {
+        const input = document.getElementById(id);
+        input.value = budgetSettings[key] ?? '';
+        input.addEventListener('change', async () => {
+            const { budgetSettings: current = {} } = await chrome.storage.local.get('budgetSettings');
+            const value = input.value.trim();
+            await chrome.storage.local.set({
+                budgetSettings: { ...current, [key]: value === '' ? null : parseFloat(value) }
+            });
+        });
+    }
+
+    // Ask the service worker to expire old offers before showing the remaining budget
+    chrome.runtime.sendMessage({ action: 'get-budget-status' }, () => {
+        if (chrome.runtime.lastError) {
+            console.error('[Popup] Failed to refresh budget:', chrome.runtime.lastError.message);
+        }
+    });
+    const result = await chrome.storage.local.get('budget-status');
+    renderBudgetStatus(result['budget-status']);
+}
+
+document.addEventListener('DOMContentLoaded', initBudgetSettings);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['budget-status']) {
+        renderBudgetStatus(changes['budget-status'].newValue);
+    }
+});
+
+/**
+ * Backend API Settings
+ */
+
+function renderApiStatus(status) {
+    const statusText = document.getElementById('api-status');
+    if (!statusText || !status) {
+        return;
+    }
+    const { lastError, lastSuccess } = status;
+    const failing = lastError && (!lastSuccess || lastError.timestamp > lastSuccess.timestamp);
+
+    statusText.classList.toggle('error', Boolean(failing));
+    if (failing) {
+        statusText.textContent = `Last call failed (${status.environment}): ${lastError.path} — ${lastError.message} at ${new Date(lastError.timestamp).toLocaleTimeString()}`;
+    } else if (lastSuccess) {
+        statusText.textContent = `OK (${status.environment}): ${lastSuccess.path} at ${new Date(lastSuccess.timestamp).toLocaleTimeString()}`;
+    }
+}
+
+async function initApiSettings() {
+    const select = document.getElementById('api-environment-select');
+    const apiKeyInput = document.getElementById('api-key-input');
+
+    for (const [name, environment] of Object.entries(API_ENVIRONMENTS)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = environment.label;
+        select.appendChild(option);
+    }
+
+    const stored = await chrome.storage.local.get(['apiEnvironment', 'apiKey', 'api-status']);
+    select.value = API_ENVIRONMENTS[stored.apiEnvironment] ? stored.apiEnvironment : DEFAULT_API_ENVIRONMENT;
+    apiKeyInput.value = stored.apiKey || '';
+    renderApiStatus(stored['api-status']);
+
+    select.addEventListener('change', () => {
+        chrome.storage.local.set({ apiEnvironment: select.value });
+    });
+    apiKeyInput.addEventListener('change', () => {
+        chrome.storage.local.set({ apiKey: apiKeyInput.value.trim() });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initApiSettings);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['api-status']) {
+        renderApiStatus(changes['api-status'].newValue);
+    }
+});
+
+/**
+ * RPC Endpoints
+ */
+
+async function updateEndpointSettings(update) {
+    const { endpointSettings = {} } = await chrome.storage.local.get('endpointSettings');
+    const settings = { custom: [], disabled: [], ...endpointSettings };
+    await chrome.storage.local.set({ endpointSettings: update(settings) });
+}
+
+function formatEndpointStats(endpoint) {
+    const parts = [`score ${endpoint.score}`];
+    if (endpoint.latencyMs !== null) {
+        parts.push(`${endpoint.latencyMs}ms`);
+    }
+    if (endpoint.errorRate !== null) {
+        parts.push(`${Math.round(endpoint.errorRate * 100)}% errors`);
+    }
+    if (endpoint.lag !== null) {
+        parts.push(`${endpoint.lag} blocks behind`);
+    }
+    return parts.join(' · ');
+}
+
+function renderEndpointStatus(status) {
+    const list = document.getElementById('endpoint-list');
+    if (!list || !status) {
+        return;
+    }
+    list.innerHTML = '';
+    const endpoints = [...status.endpoints].sort((a, b) => a.disabled - b.disabled || b.score - a.score);
+    for (const endpoint of endpoints) {
+        const item = document.createElement('li');
+        item.classList.toggle('disabled', endpoint.disabled);
+        const label = document.createElement('span');
+        label.textContent = `${endpoint.type.toUpperCase()} ${endpoint.url} — ${formatEndpointStats(endpoint)}`;
+        if (endpoint.lastError) {
+            label.title = `Last error: ${endpoint.lastError}`;
+        }
+
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'secondary-button';
+        toggleButton.textContent = endpoint.disabled ? 'Enable' : 'Disable';
+        toggleButton.addEventListener('click', () => updateEndpointSettings(settings => ({
+            ...settings,
+            disabled: endpoint.disabled
+                ? settings.disabled.filter(url => url !== endpoint.url)
+                : [...settings.disabled, endpoint.url]
+        })));
+        item.append(label, toggleButton);
+
+        if (endpoint.source === 'custom') {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'secondary-button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => updateEndpointSettings(settings => ({
+                custom: settings.custom.filter(custom => custom.url !== endpoint.url),
+                disabled: settings.disabled.filter(url => url !== endpoint.url)
+            })));
+            item.appendChild(removeButton);
+        }
+        list.appendChild(item);
+    }
+}
+
+async function initEndpointSettings() {
+    const urlInput = document.getElementById('endpoint-url');
+    const statusText = document.getElementById('endpoint-status');
+
+    document.getElementById('endpoint-add').addEventListener('click', async () => {
+        const url = urlInput.value.trim();
+        const type = /^wss?:\/\//i.test(url) ? 'ws' : /^https?:\/\//i.test(url) ? 'http' : null;
+        if (!type) {
+            statusText.textContent = 'Endpoint URLs must start with wss://, ws://, https:// or http://';
+            return;
+        }
+        // Custom endpoints belong to the network selected when they were added
+        const { getActiveNetwork } = await contractsModule;
+        const network = (await getActiveNetwork()).id;
+        await updateEndpointSettings(settings => ({
+            ...settings,
+            custom: settings.custom.some(custom => custom.url === url) ? settings.custom : [...settings.custom, { url, type, network }]
+        }));
+        urlInput.value = '';
+    });
+
+    document.getElementById('endpoint-probe').addEventListener('click', () => {
+        statusText.textContent = 'Checking endpoints...';
+        chrome.runtime.sendMessage({ action: 'probe-endpoints' }, () => {
+            statusText.textContent = `Checked at ${new Date().toLocaleTimeString()}.`;
+        });
+    });
+
+    const { 'endpoint-health-status': status } = await chrome.storage.local.get('endpoint-health-status');
+    renderEndpointStatus(status);
+}
+
+document.addEventListener('DOMContentLoaded', initEndpointSettings);
+
+/**
+ * Network & Collections
+ */
+
+// The network registry the service worker uses, loaded as a module
+const contractsModule = import('./contracts.js');
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+async function updateNetworkSettings(update) {
+    const { withNetworkDefaults } = await contractsModule;
+    const { networkSettings } = await chrome.storage.local.get('networkSettings');
+    await chrome.storage.local.set({ networkSettings: update(withNetworkDefaults(networkSettings)) });
+}
+
+async function renderNetworkSettings(networkSettings) {
+    const { COLLECTIONS, withNetworkDefaults } = await contractsModule;
+    const settings = withNetworkDefaults(networkSettings);
+    document.getElementById('network-select').value = settings.network;
+
+    const list = document.getElementById('collection-list');
+    list.innerHTML = '';
+    const builtIn = Object.values(COLLECTIONS);
+    const collections = [...builtIn, ...settings.custom].filter(collection => collection.network === settings.network);
+    if (collections.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No collections on this network yet. Add one below.';
+        list.appendChild(item);
+        return;
+    }
+
+    for (const collection of collections) {
+        const item = document.createElement('li');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = settings.collections.includes(collection.id);
+        checkbox.addEventListener('change', () => updateNetworkSettings(current => ({
+            ...current,
+            collections: checkbox.checked
+                ? [...current.collections, collection.id]
+                : current.collections.filter(id => id !== collection.id)
+        })));
+
+        const label = document.createElement('span');
+        label.textContent = builtIn.includes(collection) ? `${collection.name} (built-in)` : `${collection.name} — ${collection.nftContract}`;
+        item.append(checkbox, label);
+
+        if (!builtIn.includes(collection)) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'secondary-button';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => updateNetworkSettings(current => ({
+                ...current,
+                collections: current.collections.filter(id => id !== collection.id),
+                custom: current.custom.filter(custom => custom.id !== collection.id)
+            })));
+            item.appendChild(removeButton);
+        }
+        list.appendChild(item);
+    }
+}
+
+async function initNetworkSettings() {
+    const { NETWORKS } = await contractsModule;
+    const select = document.getElementById('network-select');
+    for (const network of Object.values(NETWORKS)) {
+        select.appendChild(new Option(network.name, network.id));
+    }
+    select.addEventListener('change', () => updateNetworkSettings(settings => ({ ...settings, network: select.value })));
+
+    const inputs = {
+        name: document.getElementById('collection-name'),
+        nftContract: document.getElementById('collection-nft-contract'),
+        marketplaceContract: document.getElementById('collection-marketplace-contract'),
+        paymentToken: document.getElementById('collection-payment-token'),
+        cardUrlTemplate: document.getElementById('collection-card-url')
+    };
+    const statusText = document.getElementById('network-status');
+
+    document.getElementById('collection-add').addEventListener('click', async () => {
+        const values = Object.fromEntries(Object.entries(inputs).map(([key, input]) => [key, input.value.trim()]));
+        if (!values.name || !ADDRESS_PATTERN.test(values.nftContract)) {
+            statusText.textContent = 'A collection needs a name and a valid NFT contract address.';
+            return;
+        }
+        if ((values.marketplaceContract && !ADDRESS_PATTERN.test(values.marketplaceContract)) ||
+            (values.paymentToken && !ADDRESS_PATTERN.test(values.paymentToken))) {
+            statusText.textContent = 'Marketplace and payment token must be contract addresses when given.';
+            return;
+        }
+        if (values.cardUrlTemplate && !values.cardUrlTemplate.includes('{tokenId}')) {
+            statusText.textContent = 'The card URL must contain {tokenId}.';
+            return;
+        }
+
+        const id = `custom-${Date.now().toString(36)}`;
+        await updateNetworkSettings(settings => ({
+            ...settings,
+            collections: [...settings.collections, id],
+            custom: [...settings.custom, {
+                id,
+                name: values.name,
+                network: settings.network,
+                nftContract: values.nftContract,
+                marketplaceContract: values.marketplaceContract || null,
+                paymentToken: values.paymentToken ? { address: values.paymentToken, decimals: 18 } : null,
+                cardUrlTemplate: values.cardUrlTemplate || null
+            }]
+        }));
+        Object.values(inputs).forEach(input => { input.value = ''; });
+        statusText.textContent = `Added ${values.name}.`;
+    });
+
+    const { networkSettings } = await chrome.storage.local.get('networkSettings');
+    renderNetworkSettings(networkSettings);
+}
+
+document.addEventListener('DOMContentLoaded', initNetworkSettings);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.networkSettings) {
+        renderNetworkSettings(changes.networkSettings.newValue);
+    }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['endpoint-health-status']) {
+        renderEndpointStatus(changes['endpoint-health-status'].newValue);
+    }
+});
+
+/**
+ * Card Tab Queue
+ */
+
+const TAB_QUEUE_INPUTS = {
+    maxConcurrentTabs: 'tab-queue-max-concurrent',
+    dedupeWindowMinutes: 'tab-queue-dedupe-window'
+};
+
+function renderTabQueueStatus(status) {
+    const statusText = document.getElementById('tab-queue-status');
+    if (!statusText || !status) {
+        return;
+    }
+    const bySource = status.queuedBySource || {};
+    statusText.textContent =
+        `Open: ${status.activeCount}/${status.maxConcurrentTabs} · ` +
+        `Queued: ${status.queuedCount} (${bySource.transfer || 0} transfer, ${bySource.scan || 0} scan) · ` +
+        `Skipped duplicates: ${status.skippedDuplicates}` +
+        (status.nextTokens.length > 0 ? ` · Next: ${status.nextTokens.join(', ')}` : '');
+}
+
+async function initTabQueueSettings() {
+    const stored = await chrome.storage.local.get(['tabQueueSettings', 'tab-queue-status']);
+    const settings = { ...DEFAULT_TAB_QUEUE_SETTINGS, ...stored.tabQueueSettings };
+
+    for (const [key, id] of Object.entries(TAB_QUEUE_INPUTS)) {
+        const input = document.getElementById(id);
+        input.value = settings[key];
+        input.addEventListener('change', async () => {
+            const { tabQueueSettings: current = {} } = await chrome.storage.local.get('tabQueueSettings');
+            const value = parseInt(input.value, 10);
+            await chrome.storage.local.set({
+                tabQueueSettings: { ...current, [key]: isNaN(value) ? DEFAULT_TAB_QUEUE_SETTINGS[key] : value }
+            });
+        });
+    }
+
+    renderTabQueueStatus(stored['tab-queue-status']);
+}
+
+document.addEventListener('DOMContentLoaded', initTabQueueSettings);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['tab-queue-status']) {
+        renderTabQueueStatus(changes['tab-queue-status'].newValue);
+    }
+});
+
+/**
+ * Watchlist
+ */
+
+function renderWatchlist(watchlist) {
+    const list = document.getElementById('watchlist-entries');
+    list.innerHTML = '';
+    watchlist.forEach((entry, index) => {
+        const rules = [
+            entry.maxPrice !== null ? `max $${entry.maxPrice.toFixed(2)}` : null,
+            entry.alertBelowFmvPct !== null ? `alert ${toPercentInput(entry.alertBelowFmvPct)}% below FMV` : null,
+            entry.ceilingPremium !== null ? `re-bid ceiling ${toPercentInput(entry.ceilingPremium)}% over FMV` : null,
+            entry.autoOfferOnTransfer ? 'auto-offer on transfer' : 'no auto-offer'
+        ].filter(Boolean);
+
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${describeWatchlistEntry(entry)} · ${rules.join(' · ')}`;
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', async () => {
+            const current = await loadWatchlist();
+            current.splice(index, 1);
+            await chrome.storage.local.set({ watchlist: current });
+            renderWatchlist(current);
+        });
+        item.append(label, removeButton);
+        list.appendChild(item);
+    });
+}
+
+async function initWatchlist() {
+    const matchInput = document.getElementById('watchlist-match');
+    const collectionSelect = document.getElementById('watchlist-collection');
+    const maxPriceInput = document.getElementById('watchlist-max-price');
+    const alertBelowInput = document.getElementById('watchlist-alert-below');
+    const ceilingInput = document.getElementById('watchlist-ceiling-premium');
+    const autoOfferCheckbox = document.getElementById('watchlist-auto-offer');
+
+    // Entries leave the collection unset for the built-in one, so the built-in option has no value
+    const { COLLECTIONS, DEFAULT_COLLECTION_ID, withNetworkDefaults } = await contractsModule;
+    const { networkSettings } = await chrome.storage.local.get('networkSettings');
+    for (const collection of [...Object.values(COLLECTIONS), ...withNetworkDefaults(networkSettings).custom]) {
+        collectionSelect.appendChild(new Option(collection.name, collection.id === DEFAULT_COLLECTION_ID ? '' : collection.id));
+    }
+
+    renderWatchlist(await loadWatchlist());
+
+    document.getElementById('watchlist-add').addEventListener('click', async () => {
+        const match = matchInput.value.trim();
+        if (!match) {
+            return;
+        }
+        const maxPrice = parseFloat(maxPriceInput.value);
+        const alertBelow = parseFloat(alertBelowInput.value);
+        const ceiling = parseFloat(ceilingInput.value);
+        const entry = {
+            ...DEFAULT_WATCHLIST_ENTRY,
+            ...(/^\d+$/.test(match) ? { tokenId: match, collection: collectionSelect.value || null } : { namePattern: match }),
+            maxPrice: isNaN(maxPrice) ? null : maxPrice,
+            alertBelowFmvPct: isNaN(alertBelow) ? null : alertBelow / 100,
+            ceilingPremium: isNaN(ceiling) ? null : ceiling / 100,
+            autoOfferOnTransfer: autoOfferCheckbox.checked
+        };
+
+        const watchlist = await loadWatchlist();
+        watchlist.push(entry);
+        await chrome.storage.local.set({ watchlist });
+        renderWatchlist(watchlist);
+
+        matchInput.value = '';
+        maxPriceInput.value = '';
+        alertBelowInput.value = '';
+        ceilingInput.value = '';
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initWatchlist);
+
+/**
+ * Deal Score
+ */
+
+const DEAL_SCORE_INPUTS = {
+    discount: 'deal-weight-discount',
+    lastTrade: 'deal-weight-last-trade',
+    offers: 'deal-weight-offers',
+    trend: 'deal-weight-trend'
+};
+
+function renderDealScoreSettings(settings) {
+    for (const [key, id] of Object.entries(DEAL_SCORE_INPUTS)) {
+        document.getElementById(id).value = settings.weights[key];
+    }
+    document.getElementById('deal-good-score').value = settings.goodDealScore;
+    document.getElementById('deal-overpriced-score').value = settings.overpricedScore;
+}
+
+async function initDealScoreSettings() {
+    renderDealScoreSettings(await loadDealScoreSettings());
+
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) || value < 0 ? fallback : value;
+    };
+    const save = async () => {
+        const current = await loadDealScoreSettings();
+        const weights = Object.fromEntries(
+            Object.entries(DEAL_SCORE_INPUTS).map(([key, id]) => [key, readNumber(id, current.weights[key])])
+        );
+        const goodDealScore = Math.min(readNumber('deal-good-score', current.goodDealScore), 100);
+        const overpricedScore = Math.min(readNumber('deal-overpriced-score', current.overpricedScore), goodDealScore);
+        await chrome.storage.local.set({ dealScoreSettings: { weights, goodDealScore, overpricedScore } });
+        renderDealScoreSettings({ weights, goodDealScore, overpricedScore });
+    };
+
+    for (const id of [...Object.values(DEAL_SCORE_INPUTS), 'deal-good-score', 'deal-overpriced-score']) {
+        document.getElementById(id).addEventListener('change', save);
+    }
+    document.getElementById('deal-score-reset').addEventListener('click', async () => {
+        await chrome.storage.local.remove('dealScoreSettings');
+        renderDealScoreSettings(DEFAULT_DEAL_SCORE_SETTINGS);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initDealScoreSettings);
+
+/**
+ * Transfer Rules
+ */
+
+const TRANSFER_DROP_LABELS = {
+    'mint-or-burn': 'mint/burn',
+    'ignored-wallet': 'ignored wallet',
+    'not-marketplace': 'not a sale',
+    'not-watchlisted': 'not watchlisted',
+    'watchlist-no-auto-offer': 'watchlist auto-offer off',
+    'below-min-price': 'below min price',
+    'below-min-fmv': 'below min FMV'
+};
+
+function parseList(value) {
+    return value.split(/[\s,]+/).map(item => item.trim()).filter(Boolean);
+}
+
+function renderTransferFilterStats(stats) {
+    const statsText = document.getElementById('transfer-filter-stats');
+    if (!statsText || !stats) {
+        return;
+    }
+    const dropped = Object.entries(stats.dropped || {})
+        .sort(([, a], [, b]) => b - a)
+        .map(([reason, count]) => `${count} ${TRANSFER_DROP_LABELS[reason] || reason}`);
+    const droppedTotal = stats.evaluated - stats.passed;
+    statsText.textContent =
+        `Transfers: ${stats.evaluated} · Opened: ${stats.passed} · Dropped: ${droppedTotal}` +
+        (dropped.length > 0 ? ` (${dropped.join(', ')})` : '');
+}
+
+async function initTransferRules() {
+    const inputs = {
+        marketplaceOnly: document.getElementById('transfer-rule-marketplace-only'),
+        ignoreZeroAddress: document.getElementById('transfer-rule-ignore-zero'),
+        watchlistOnly: document.getElementById('transfer-rule-watchlist-only'),
+        ignoredWallets: document.getElementById('transfer-rule-ignored-wallets'),
+        minFmv: document.getElementById('transfer-rule-min-fmv'),
+        minPrice: document.getElementById('transfer-rule-min-price')
+    };
+
+    const stored = await chrome.storage.local.get(['transferRules', 'transfer-filter-stats']);
+    const rules = { ...DEFAULT_TRANSFER_RULES, ...stored.transferRules };
+    inputs.marketplaceOnly.checked = rules.marketplaceOnly;
+    inputs.ignoreZeroAddress.checked = rules.ignoreZeroAddress;
+    inputs.watchlistOnly.checked = rules.watchlistOnly;
+    inputs.ignoredWallets.value = rules.ignoredWallets.join(', ');
+    inputs.minFmv.value = rules.minFmv || '';
+    inputs.minPrice.value = rules.minPrice || '';
+
+    const save = () => {
+        chrome.storage.local.set({
+            transferRules: {
+                marketplaceOnly: inputs.marketplaceOnly.checked,
+                ignoreZeroAddress: inputs.ignoreZeroAddress.checked,
+                watchlistOnly: inputs.watchlistOnly.checked,
+                ignoredWallets: parseList(inputs.ignoredWallets.value),
+                minFmv: parseFloat(inputs.minFmv.value) || 0,
+                minPrice: parseFloat(inputs.minPrice.value) || 0
+            }
+        });
+    };
+    for (const input of Object.values(inputs)) {
+        input.addEventListener('change', save);
+    }
+
+    document.getElementById('transfer-filter-reset').addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'reset-transfer-filter-stats' });
+    });
+
+    renderTransferFilterStats(stored['transfer-filter-stats']);
+}
+
+async function initListenerSettings() {
+    const input = document.getElementById('listener-confirmations');
+    const { listenerSettings = {} } = await chrome.storage.local.get('listenerSettings');
+    input.value = listenerSettings.confirmations ?? DEFAULT_CONFIRMATIONS;
+
+    input.addEventListener('change', async () => {
+        const confirmations = Math.max(0, parseInt(input.value, 10) || 0);
+        input.value = confirmations;
+        const { listenerSettings: current = {} } = await chrome.storage.local.get('listenerSettings');
+        await chrome.storage.local.set({ listenerSettings: { ...current, confirmations } });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initTransferRules);
+document.addEventListener('DOMContentLoaded', initListenerSettings);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes['transfer-filter-stats']) {
+        renderTransferFilterStats(changes['transfer-filter-stats'].newValue);
+    }
+});
+
+/**
+ * Offer History
+ */
+
+const HISTORY_COLUMNS = [
+    'timestamp', 'tokenId', 'fmv', 'list', 'owner', 'bidders', 'prices', 'targetOffer', 'offerSource',
+    'offerAmount', 'amountPlaced', 'duration', 'strategy', 'reason', 'result', 'transferTxHash', 'reorged'
+];
+
+let historyEntries = [];
+
+function formatMoney(value) {
+    return typeof value === 'number' ? `$${value.toFixed(2)}` : '—';
+}
+
+function renderHistory() {
+    const tbody = document.querySelector('#history-table tbody');
+    tbody.innerHTML = '';
+
+    for (const entry of historyEntries) {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(entry.timestamp).toLocaleString(),
+            entry.tokenId,
+            formatMoney(entry.fmv),
+            formatMoney(entry.list),
+            String((entry.bidders || []).length),
+            formatMoney(entry.targetOffer) + (entry.offerSource === 'local' ? ' (local)' : ''),
+            formatMoney(entry.amountPlaced ?? entry.offerAmount),
+            entry.duration || '—',
+            entry.strategy || '—',
+            entry.result + (entry.reorged ? ' (reorged)' : '')
+        ];
+        for (const value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        row.lastChild.className = `result-${entry.result}`;
+        row.title = (entry.reason || '') + (entry.reorged ? `\nTriggering transfer ${entry.transferTxHash} was reorged out` : '');
+        tbody.appendChild(row);
+    }
+
+    document.getElementById('history-count').textContent = `${historyEntries.length} entries`;
+}
+
+function loadHistory() {
+    const days = document.getElementById('history-since-filter').value;
+    const filters = {
+        tokenId: document.getElementById('history-token-filter').value.trim(),
+        result: document.getElementById('history-result-filter').value,
+        since: days ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000).toISOString() : null
+    };
+
+    chrome.runtime.sendMessage({ action: 'ledger-query', filters }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            console.error('[Popup] Failed to load history:', chrome.runtime.lastError?.message || response?.message);
+            return;
+        }
+        historyEntries = response.entries;
+        renderHistory();
+    });
+}
+
+function toCsvValue(value) {
+    const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function showView(viewId) {
+    for (const view of document.querySelectorAll('.view')) {
+        view.classList.toggle('hidden', view.id !== viewId);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('historyButton').addEventListener('click', () => {
+        showView('history-view');
+        loadHistory();
+    });
+    document.getElementById('history-back').addEventListener('click', () => showView('settings-view'));
+
+    for (const id of ['history-token-filter', 'history-result-filter', 'history-since-filter']) {
+        document.getElementById(id).addEventListener('change', loadHistory);
+    }
+
+    document.getElementById('history-export-csv').addEventListener('click', () => {
+        const rows = historyEntries.map(entry => HISTORY_COLUMNS.map(column => toCsvValue(entry[column])).join(','));
+        downloadFile('offer-history.csv', [HISTORY_COLUMNS.join(','), ...rows].join('\n'), 'text/csv');
+    });
+    document.getElementById('history-export-json').addEventListener('click', () => {
+        downloadFile('offer-history.json', JSON.stringify(historyEntries, null, 2), 'application/json');
+    });
+});
+
+/**
+ * Selector Self-Test
+ */
+
+const SELF_TEST_ICONS = {
+    found: '✓',
+    missing: '✗',
+    'optional-missing': '○',
+    skipped: '–'
+};
+
+function renderSelfTest(report) {
+    const summary = document.getElementById('selector-self-test-summary');
+    const list = document.getElementById('selector-self-test-results');
+    list.innerHTML = '';
+
+    const missing = report.results.filter(result => result.status === 'missing');
+    summary.textContent = missing.length > 0
+        ? `${missing.length} selector(s) missing on ${report.page} page (registry ${report.version})`
+        : `All required selectors found on ${report.page} page (registry ${report.version})`;
+
+    for (const result of report.results) {
+        const item = document.createElement('li');
+        item.className = result.status;
+        const count = result.status === 'found' ? ` (${result.count})` : '';
+        item.textContent = `${SELF_TEST_ICONS[result.status]} ${result.key}${count} — ${result.description}`;
+        list.appendChild(item);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('selfTestButton').addEventListener('click', () => {
+        const summary = document.getElementById('selector-self-test-summary');
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action: 'selector-self-test' }, (response) => {
+                if (chrome.runtime.lastError || !response) {
+                    summary.textContent = 'Self-test unavailable: open a Renaiss card or marketplace page first.';
+                    return;
+                }
+                renderSelfTest(response);
+            });
+        });
+    });
+});
+
+/**
+ * Scraper Fixture Capture
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('captureFixtureButton').addEventListener('click', () => {
+        const status = document.getElementById('capture-fixture-status');
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (!tabs[0] || !tabs[0].id) {
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, { action: 'capture-fixture' }, (fixture) => {
+                if (chrome.runtime.lastError || !fixture) {
+                    status.textContent = 'Capture unavailable: open a Renaiss card or marketplace page first.';
+                    return;
+                }
+                const suffix = fixture.extracted.tokenId || fixture.capturedAt.replace(/[:.]/g, '-');
+                downloadFile(`${fixture.page}-${suffix}.json`, JSON.stringify(fixture, null, 2), 'application/json');
+                status.textContent = `Captured ${fixture.page} page fixture (registry ${fixture.selectorVersion})`;
+            });
+        });
+    });
+});
+
 /**
  * NFT Listener Status Updates
  */
@@ -131,7 +1161,10 @@ async function updatePopupStatus() {
 
             // Update CSS class for styling
             indicatorCompact.className = statusKey;
-            connectionTextCompact.textContent = label;
+            const modeLabel = statusKey === 'connected' && status.mode
+                ? (status.mode === 'subscription' ? ' · push' : ' · polling')
+                : '';
+            connectionTextCompact.textContent = label + modeLabel;
             connectionTextCompact.style.color = color;
         }
 
@@ -148,6 +1181,34 @@ async function updatePopupStatus() {
             }
         }
 
+        // Show catch-up progress after a reconnect or restart
+        const backfillCompact = document.getElementById('backfill-progress-compact');
+        if (backfillCompact) {
+            const backfill = status.backfill;
+            if (backfill) {
+                const total = backfill.toBlock - backfill.fromBlock + 1;
+                const done = backfill.processedBlock - backfill.fromBlock + 1;
+                backfillCompact.textContent = `Backfilling ${Math.floor((done / total) * 100)}% (${done}/${total} blocks, chunk ${backfill.chunkSize})`;
+            } else {
+                backfillCompact.textContent = '';
+            }
+        }
+
+        // Last transfer and the collection it came from
+        const lastTransferCompact = document.getElementById('last-transfer-compact');
+        if (lastTransferCompact) {
+            const transfer = status.lastTransferEvent;
+            if (transfer) {
+                const collectionName = transfer.collection?.name || 'Token';
+                lastTransferCompact.textContent = `Last: ${collectionName} #${transfer.tokenId}` +
+                    (transfer.isSale && transfer.salePrice ? ` · $${transfer.salePrice.toFixed(2)}` : '') +
+                    (transfer.reorged ? ' (reorged)' : '');
+                lastTransferCompact.title = [status.network?.name, transfer.txHash].filter(Boolean).join(' · ');
+            } else {
+                lastTransferCompact.textContent = '';
+            }
+        }
+
         console.log('[Popup] ✓ UI updated successfully');
     } catch (error) {
         console.error('[Popup] ❌ Failed to update status:', error);
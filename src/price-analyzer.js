@@ -3,187 +3,227 @@
     'use strict';
     console.log('Renaiss Price Analyzer content.js loaded.');
 
-    const PRICE_THRESHOLD = 0.1; // 15% threshold
-    let windowCount = 0; // Reset per batch/scan
+    let watchlist = []; // Reloaded on every scan
+    let dealScoreSettings = DEFAULT_DEAL_SCORE_SETTINGS; // Reloaded on every scan and when edited in the popup
 
-    // Color configuration
+    // Each card element is analyzed once per token and listing price. Recycled elements and
+    // changed prices no longer match their recorded signature and are analyzed again.
+    const analyzedCards = new WeakMap(); // card element -> tile signature
+    const cardScoreInputs = new WeakMap(); // card element -> inputs of its deal score, for re-scoring
+    const pendingCards = new Set(); // Found by a scan, waiting for their turn
+    let isProcessingQueue = false;
+    let scanTimeout = null;
+    let lastUrl = location.href;
+
+    const SCAN_DEBOUNCE_MS = 500;
+    const CARD_DELAY_MS = 2000;
+    // What the analyzer adds to tiles; changes inside these never call for a scan
+    const OWN_ELEMENTS_SELECTOR = '[data-price-indicator], [data-watchlist-label]';
+
+    // Badge colors by deal score verdict
     const COLORS = {
-        GREEN: '#10b981',    // Listing price is 15%+ lower than FMV (good deal)
-        RED: '#ef4444',      // Listing price is 15%+ higher than FMV (overpriced)
-        GRAY: '#6b7280'      // Within 15% of FMV (neutral)
+        'Good Deal': '#10b981',   // Score at or above goodDealScore
+        'Overpriced': '#ef4444',  // Score at or below overpricedScore
+        'Fair Price': '#6b7280',  // In between
+        'Unlisted': '#374151'
     };
 
     function openInBackgroundTab(url) {
         chrome.runtime.sendMessage(
-            { action: 'openTab', url: url },
+            { action: 'openTab', url: url, source: 'scan' },
             (response) => {
                 if (response && response.success) {
-                    console.log('Tab opened successfully:', url);
+                    console.log(response.queued ? 'Tab queued:' : 'Tab skipped (' + response.reason + '):', url);
                 }
             }
         );
     }
 
     /**
-     * Parses price string and returns numeric value
-     * @param {string} priceStr - Price string like "$163.2"
-     * @returns {number} - Numeric price value
+     * Ask the service worker for the last on-chain sale it decoded for a token
+     * @param {string} tokenId - Card token ID
+     * @returns {Promise<object|null>} - { price, txHash, timestamp, ... } or null
      */
-    function parsePrice(priceStr) {
-        if (!priceStr) return 1000000;
-        if (priceStr === "unlisted") return 10000000;
-        const cleaned = priceStr.replace(/[$,]/g, '');
-        return parseFloat(cleaned) || 0;
+    function getLocalLastSale(tokenId) {
+        return new Promise(resolve => {
+            chrome.runtime.sendMessage({ action: 'get-last-sale', tokenId }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    resolve(null);
+                    return;
+                }
+                resolve(response.sale);
+            });
+        });
     }
 
     /**
-     * Calculates price comparison and returns appropriate color
-     * @param {number} listingPrice - The asking price
-     * @param {number} fmvPrice - The fair market value
-     * @param {number} lastTradedPrice - The last traded price
-     * @returns {object} - { color, percentage, status }
+     * Ask the service worker for the offer count and FMV trend it has seen for a token
+     * @param {string} tokenId - Card token ID
+     * @returns {Promise<object>} - { offerCount, fmvTrend }, each null when unknown
      */
-    function calculatePriceStatus(listingPrice, fmvPrice, lastTradedPrice) {
-        if (fmvPrice === 0) {
-            return { color: COLORS.GRAY, percentage: 0, status: 'No FMV' };
-        }
+    function getDealSignals(tokenId) {
+        return new Promise(resolve => {
+            chrome.runtime.sendMessage({ action: 'get-deal-signals', tokenId }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    resolve({ offerCount: null, fmvTrend: null });
+                    return;
+                }
+                resolve({ offerCount: response.offerCount, fmvTrend: response.fmvTrend });
+            });
+        });
+    }
+
+    /**
+     * Adds or replaces the deal score badge on a card
+     * @param {HTMLElement} card - Card element
+     * @param {object} inputs - calculateDealScore() inputs
+     * @returns {object|null} - Score result, or null for unlisted cards
+     */
+    function renderDealBadge(card, inputs) {
+        card.querySelector('[data-price-indicator]')?.remove();
 
-        const priceDifference = (listingPrice - fmvPrice) / fmvPrice;
+        const unlisted = inputs.listingPrice >= MISSING_PRICE;
+        const result = unlisted ? null : calculateDealScore(inputs, dealScoreSettings);
+        const verdict = result ? result.verdict : 'Unlisted';
 
-        // Condition for high last traded price.
-        if (lastTradedPrice && lastTradedPrice > fmvPrice * 1.1) {
-            return {
-                color: COLORS.GREEN,
-                percentage: (priceDifference * 100).toFixed(1),
-                status: 'High recent sale'
-            };
+        const badge = document.createElement('div');
+        badge.setAttribute('data-price-indicator', 'true');
+        if (result) {
+            const discountPct = Math.round(result.discount * 100);
+            const partial = result.missing.length > 0 ? '*' : ''; // Some factors had no data; the tooltip lists them
+            badge.textContent = `${result.score}${partial} · ${discountPct >= 0 ? `${discountPct}% off` : `+${-discountPct}%`}`;
+            badge.title = describeDealScore(result);
+        } else {
+            badge.textContent = 'Unlisted';
+            badge.title = `Not listed (FMV $${inputs.fmv.toFixed(2)})`;
         }
 
-        if (listingPrice && priceDifference <= -PRICE_THRESHOLD) {
-            return {
-                color: COLORS.GREEN,
-                percentage: (priceDifference * 100).toFixed(1),
-                status: 'Good Deal'
-            };
-        } else if (priceDifference >= PRICE_THRESHOLD) {
-            return {
-                color: COLORS.RED,
-                percentage: (priceDifference * 100).toFixed(1),
-                status: 'Overpriced'
-            };
-        } else {
-            return {
-                color: COLORS.GRAY,
-                percentage: (priceDifference * 100).toFixed(1),
-                status: 'Fair Price'
-            };
+        // Ensure the parent is positioned to contain the badge
+        if (window.getComputedStyle(card).position === 'static') {
+            card.style.position = 'relative';
         }
+        badge.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            padding: 4px 8px;
+            border-radius: 12px;
+            border: 2px solid white;
+            background-color: ${COLORS[verdict]};
+            color: white;
+            font-size: 12px;
+            font-weight: bold;
+            white-space: nowrap;
+            cursor: help;
+            z-index: 10;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+          `;
+        card.appendChild(badge);
+        return result;
     }
 
     /**
-     * Adds price analysis indicator to a card
-     * @param {HTMLElement} card - Card element to analyze
+     * Re-scores every analyzed card on the page, e.g. after thresholds were edited
      */
-    async function analyzeCard(card) {
-        console.log('analyzeCard: Processing card element:', card); // Logs the actual element
-        try {
-            // Check if this card has already been processed (has indicator, meaning window was opened)
-            if (card.querySelector('[data-price-indicator]')) {
-                console.log('analyzeCard: Card already has indicator, skipping.');
-                return;
+    function rescoreAnalyzedCards() {
+        let rescored = 0;
+        for (const card of findAllBySelector(SELECTORS.marketplace.card)) {
+            const inputs = cardScoreInputs.get(card);
+            if (inputs) {
+                renderDealBadge(card, inputs);
+                rescored++;
             }
+        }
+        console.log('rescoreAnalyzedCards: Re-scored', rescored, 'cards.');
+    }
 
-            // Extract token_id
-            const cardLink = card.querySelector('a[href*="/card/"]');
-            let tokenId = 'N/A';
-            if (cardLink) {
-                const href = cardLink.getAttribute('href');
-                const match = href.match(/\/card\/([^/]+)/);
-                if (match && match[1]) {
-                    tokenId = match[1];
-                    console.log('analyzeCard: Extracted Token ID:', tokenId);
-                }
-            }
+    function getTileSignature(tile) {
+        return `${tile.tokenId}|${tile.listingPrice}`;
+    }
 
-            // Extract card name (assuming it's in the second div's span)
-            const cardNameEl = card.querySelector('div:nth-child(2) span'); // This selects the span within the second div child of the card
-            let cardName = 'N/A';
-            if (cardNameEl) {
-                cardName = cardNameEl.textContent.trim();
-                console.log('analyzeCard: Extracted Card Name:', cardName);
-            }
+    /**
+     * Removes the indicator and watchlist highlight from an earlier analysis
+     * @param {HTMLElement} card - Card element
+     */
+    function clearCardAnalysis(card) {
+        card.querySelectorAll(OWN_ELEMENTS_SELECTOR).forEach(element => element.remove());
+        card.style.outline = '';
+        card.style.outlineOffset = '';
+    }
 
-            // Using selectors derived from user feedback.
-            // The listing price is a span inside the first child of a specific div.
-            const listingPriceEl = card.querySelector('.p-3 > div > div:nth-child(1) > span');
-            // The FMV is a span within a specific div, using an attribute selector for the complex class name.
-            const fmvPriceEl = card.querySelector('div[class*="bg-white/20"] > span.text-xs.font-medium.text-white');
+    /**
+     * Outlines a watchlisted tile and labels it with any alert its rules raise
+     * @param {HTMLElement} card - Card element
+     * @param {object} entry - Matching watchlist entry
+     * @param {string|null} alert - Alert text from getWatchlistAlert()
+     */
+    function highlightWatchlistedCard(card, entry, alert) {
+        card.style.outline = `3px solid ${alert ? '#f97316' : '#facc15'}`;
+        card.style.outlineOffset = '2px';
 
-            console.log('analyzeCard: listingPriceEl found:', !!listingPriceEl, listingPriceEl);
-            console.log('analyzeCard: fmvPriceEl found:', !!fmvPriceEl, fmvPriceEl);
+        const label = document.createElement('div');
+        label.setAttribute('data-watchlist-label', 'true');
+        label.textContent = alert ? `★ ${alert}` : '★ Watchlist';
+        label.title = `Watchlist ${describeWatchlistEntry(entry)}`;
+        label.style.cssText = `
+            position: absolute;
+            top: 10px;
+            left: 10px;
+            padding: 2px 6px;
+            border-radius: 4px;
+            background: ${alert ? '#f97316' : '#facc15'};
+            color: #111827;
+            font-size: 11px;
+            font-weight: bold;
+            z-index: 10;
+          `;
+        card.appendChild(label);
+    }
 
-            if (listingPriceEl && fmvPriceEl) {
-                const listingPrice = parsePrice(listingPriceEl.textContent);
-                const fmvPrice = parsePrice(fmvPriceEl.textContent);
-                console.log('analyzeCard: Extracted prices - Listing:', listingPrice, 'FMV:', fmvPrice);
+    /**
+     * Scores a card and adds its deal score badge
+     * @param {HTMLElement} card - Card element to analyze
+     */
+    async function analyzeCard(card) {
+        console.log('analyzeCard: Processing card element:', card); // Logs the actual element
+        try {
+            const { tokenId, cardName, listingPrice, fmvPrice } = extractTileData(card);
+            console.log('analyzeCard: Extracted tile data:', { tokenId, cardName, listingPrice, fmvPrice });
 
+            if (listingPrice !== null && fmvPrice !== null) {
                 let lastTradedPrice = 0;
-                if (tokenId !== 'N/A') {
+                const localSale = tokenId !== 'N/A' ? await getLocalLastSale(tokenId) : null;
+                if (localSale) {
+                    lastTradedPrice = localSale.price;
+                    console.log('analyzeCard: Last sale from local history:', lastTradedPrice, localSale.txHash);
+                } else if (tokenId !== 'N/A') {
                     try {
-                        const response = await fetch(`https://localhost:8000/query_trade?token_id=${tokenId}`);
-                        if (response.ok) {
-                            const tradeData = await response.json();
-                            // Assuming the API returns something like { "price": "123.45" }
-                            if (tradeData && tradeData.price) {
-                                lastTradedPrice = parsePrice(tradeData.price.toString());
-                                console.log('analyzeCard: Fetched last traded price:', lastTradedPrice);
-                            }
+                        const tradeData = await apiRequest('/query_trade', { params: { token_id: tokenId } });
+                        // Assuming the API returns something like { "price": "123.45" }
+                        if (tradeData && tradeData.price) {
+                            lastTradedPrice = parsePrice(tradeData.price.toString());
+                            console.log('analyzeCard: Fetched last traded price:', lastTradedPrice);
                         }
                     } catch (error) {
-                        console.error('Error fetching trade data:', error);
+                        console.error('Error fetching trade data:', error.message);
                     }
                 }
 
                 if (fmvPrice > 0) {
-                    const status = calculatePriceStatus(listingPrice, fmvPrice, lastTradedPrice);
-                    console.log('analyzeCard: Price Status:', status.status, 'Percentage:', status.percentage);
+                    const signals = tokenId !== 'N/A' ? await getDealSignals(tokenId) : { offerCount: null, fmvTrend: null };
+                    const inputs = { listingPrice, fmv: fmvPrice, lastSalePrice: lastTradedPrice, ...signals };
+                    cardScoreInputs.set(card, inputs);
 
-                    // Create and add the indicator
-                    let indicator = document.createElement('div');
-                    indicator.setAttribute('data-price-indicator', 'true');
+                    const result = renderDealBadge(card, inputs);
+                    console.log('analyzeCard: Deal score:', result ? `${result.score} (${result.verdict})` : 'unlisted', result);
 
-                    // Ensure the parent is positioned to contain the indicator
-                    if (window.getComputedStyle(card).position === 'static') {
-                        card.style.position = 'relative';
+                    const watchlistEntry = findWatchlistEntry(watchlist, tokenId, cardName);
+                    if (watchlistEntry) {
+                        const alert = getWatchlistAlert(watchlistEntry, listingPrice, fmvPrice);
+                        highlightWatchlistedCard(card, watchlistEntry, alert);
+                        console.log('%canalyzeCard: Watchlisted card ' + cardName + (alert ? ' - ' + alert : ''), 'color: #facc15; font-weight: bold');
                     }
 
-                    // Add indicator styling
-                    const style = `
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            width: 48px;
-            height: 48px;
-            border-radius: 50%;
-            border: 2px solid white;
-            cursor: pointer;
-            z-index: 10;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-            transition: all 0.2s ease;
-          `;
-
-                    indicator.style.cssText = style;
-                    card.appendChild(indicator);
-
-                    // Update indicator color and add a tooltip
-                    indicator.style.backgroundColor = status.color;
-                    indicator.title = `${status.status}: ${status.percentage}% vs FMV ($${fmvPrice.toFixed(2)})`;
-                    if (status.status === 'High recent sale') {
-                        indicator.title += ` | Last Sale: $${lastTradedPrice.toFixed(2)}`;
-                    }
-                    console.log('analyzeCard: Indicator created for card.');
-
-                    // Open window only if we haven't hit the 20 limit yet
                     if (tokenId !== 'N/A') {
                         openInBackgroundTab(`https://www.renaiss.xyz/card/${tokenId}`);
                     }
@@ -200,43 +240,177 @@
     }
 
     /**
-     * Initializes the extension by finding and analyzing all cards
+     * Shares tile FMVs and names with the service worker's transfer rules
+     * @param {HTMLElement[]} cards - Card elements
      */
-    async function initializeAnalyzer() {
-        console.log('initializeAnalyzer: Starting scan...');
-        const cardSelector = 'div.rounded-xl.overflow-hidden.relative';
-        console.log('initializeAnalyzer: Using card selector:', cardSelector);
+    function cacheTileFmvs(cards) {
+        const fmvEntries = cards
+            .map(extractTileData)
+            .filter(tile => tile.tokenId !== 'N/A' && tile.fmvPrice > 0)
+            .map(tile => ({ tokenId: tile.tokenId, fmv: tile.fmvPrice, name: tile.cardName }));
+        if (fmvEntries.length > 0) {
+            chrome.runtime.sendMessage({ action: 'cache-fmv', entries: fmvEntries }, () => {
+                if (chrome.runtime.lastError) {
+                    console.warn('cacheTileFmvs: Could not cache FMVs:', chrome.runtime.lastError.message);
+                }
+            });
+        }
+    }
+
+    function isMarketplacePage() {
+        return location.pathname.startsWith('/marketplace');
+    }
+
+    /**
+     * Finds cards that are new, recycled or repriced since they were last analyzed and queues them
+     */
+    async function scanForCards() {
+        if (!isMarketplacePage()) {
+            return;
+        }
+        const cardSelector = SELECTORS.marketplace.card;
         let cards = [];
         try {
-            cards = document.querySelectorAll(cardSelector);
+            cards = findAllBySelector(cardSelector);
         } catch (error) {
-            console.error('Error selecting cards with selector:', cardSelector, error);
+            console.error('Error selecting cards with selector:', cardSelector.value, error);
         }
-        console.log('initializeAnalyzer: Found', cards.length, 'cards.');
 
+        // Only cards that show price information; our own indicators never change a signature
+        const changed = cards.filter(card =>
+            card.textContent.includes('$') &&
+            !pendingCards.has(card) &&
+            analyzedCards.get(card) !== getTileSignature(extractTileData(card))
+        );
+        if (changed.length === 0) {
+            return;
+        }
+        console.log('scanForCards: Found', changed.length, 'new or changed card(s) of', cards.length);
+
+        watchlist = await loadWatchlist();
+        dealScoreSettings = await loadDealScoreSettings();
+        cacheTileFmvs(changed);
+        changed.forEach(card => pendingCards.add(card));
+        processQueue();
+    }
+
+    function scheduleScan() {
+        clearTimeout(scanTimeout);
+        scanTimeout = setTimeout(scanForCards, SCAN_DEBOUNCE_MS);
+    }
+
+    /**
+     * Analyzes queued cards one at a time, pausing between cards so tabs open gradually
+     */
+    async function processQueue() {
+        if (isProcessingQueue) {
+            return;
+        }
+        isProcessingQueue = true;
         let processedCount = 0;
-        for (let i = 0; i < cards.length; i++) {
-            const card = cards[i];
-            // Only process if it looks like it has price information and hasn't been processed (no indicator yet)
-            if (card.textContent.includes('$') && !card.querySelector('[data-price-indicator]')) {
+
+        try {
+            while (pendingCards.size > 0) {
+                const card = pendingCards.values().next().value;
+                pendingCards.delete(card);
+                if (!card.isConnected) {
+                    continue; // Replaced before its turn
+                }
+
+                // Tile data may have changed while the card waited in the queue
+                const signature = getTileSignature(extractTileData(card));
+                if (analyzedCards.get(card) === signature) {
+                    continue;
+                }
+                if (analyzedCards.has(card)) {
+                    console.log('processQueue: Listing changed, re-analyzing', signature);
+                    clearCardAnalysis(card);
+                }
+                analyzedCards.set(card, signature);
+
                 await analyzeCard(card);
                 processedCount++;
-
-                // Wait 1 second before processing the next card
-                await new Promise(resolve => setTimeout(resolve, 2000));
+                await new Promise(resolve => setTimeout(resolve, CARD_DELAY_MS));
             }
+        } finally {
+            isProcessingQueue = false;
+        }
+        console.log('processQueue: Processed', processedCount, 'cards.');
+    }
+
+    /**
+     * Marketplace navigation is client-side; filter and sort changes only show up as a new URL
+     */
+    function checkRouteChange() {
+        if (location.href === lastUrl) {
+            return;
+        }
+        console.log('checkRouteChange: Route changed to', location.href);
+        lastUrl = location.href;
+        pendingCards.clear(); // Queued cards belong to the previous results
+        scheduleScan();
+    }
+
+    function isOwnNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return Boolean(element && element.closest(OWN_ELEMENTS_SELECTOR));
+    }
+
+    /**
+     * Badges and watchlist labels the analyzer inserts would otherwise trigger a scan of every tile
+     * @param {MutationRecord} record - Observed mutation
+     * @returns {boolean}
+     */
+    function isOwnMutation(record) {
+        if (isOwnNode(record.target)) {
+            return true;
         }
-        console.log('initializeAnalyzer: Processed', processedCount, 'cards.');
+        const nodes = [...record.addedNodes, ...record.removedNodes];
+        return nodes.length > 0 && nodes.every(isOwnNode);
     }
 
+    /**
+     * Runs the first scan, then follows infinite scroll, filter changes and route changes
+     */
+    async function initializeAnalyzer() {
+        console.log('initializeAnalyzer: Using card selector:', SELECTORS.marketplace.card.value, '(registry', SELECTOR_REGISTRY_VERSION + ')');
+        await scanForCards();
+
+        const observer = new MutationObserver((records) => {
+            if (records.every(isOwnMutation)) {
+                return;
+            }
+            checkRouteChange();
+            scheduleScan();
+        });
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        window.addEventListener('popstate', checkRouteChange);
+        console.log('initializeAnalyzer: Watching the page for new and changed cards.');
+    }
+
+    // Weights and thresholds edited in the popup apply to cards already on the page
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName === 'local' && changes.dealScoreSettings) {
+            dealScoreSettings = await loadDealScoreSettings();
+            rescoreAnalyzedCards();
+        }
+    });
+
 
     // Listen for messages from the popup
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.log('Message received:', request);
         if (request.action === 'reload') {
             console.log('Re-scanning page due to manual reload...');
-            initializeAnalyzer();
+            scanForCards();
             sendResponse({ status: 'reloading' });
+        } else if (request.action === 'selector-self-test') {
+            sendResponse(runSelectorSelfTest('marketplace'));
+        } else if (request.action === 'capture-fixture') {
+            const tiles = findAllBySelector(SELECTORS.marketplace.card)
+                .filter(card => card.textContent.includes('$'))
+                .map(extractTileData);
+            sendResponse(captureFixture('marketplace', { tiles }));
         }
         return true; // Indicates an asynchronous response
     });
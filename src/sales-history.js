@@ -0,0 +1,182 @@
+// src/sales-history.js
+/**
+ * Sales History Module
+ * Decodes sale prices from Transfer transactions and keeps a local per-token sales history
+ */
+
+import { ethers } from 'https://esm.sh/ethers@6.11.1';
+import { DEFAULT_COLLECTION_ID, TRANSFER_EVENT_TOPIC } from './contracts.js';
+
+const MAX_SALES_PER_TOKEN = 20;
+const MAX_TOKENS = 1000;
+
+// The built-in collection keeps bare token IDs so history recorded before collections existed still matches
+function getHistoryKey(tokenId, collectionId = DEFAULT_COLLECTION_ID) {
+    return collectionId === DEFAULT_COLLECTION_ID ? String(tokenId) : `${collectionId}:${tokenId}`;
+}
+
+/**
+ * Decode ERC20 payment transfers from a receipt
+ * @param {object[]} logs - Receipt logs
+ * @param {string} paymentTokenAddress - Lowercase ERC20 address
+ * @returns {{from: string, to: string, amount: bigint}[]}
+ */
+function getPaymentTransfers(logs, paymentTokenAddress) {
+    return logs
+        .filter(log =>
+            log.address.toLowerCase() === paymentTokenAddress &&
+            log.topics[0] === TRANSFER_EVENT_TOPIC &&
+            log.topics.length === 3
+        )
+        .map(log => ({
+            from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+            to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+            amount: BigInt(log.data)
+        }));
+}
+
+/**
+ * Count the tokens of a collection moved in a receipt, in total and by one sender
+ * @param {object[]} logs - Receipt logs
+ * @param {string} nftContract - Lowercase ERC721 address
+ * @param {string} seller - Sender to count separately
+ * @returns {{total: number, fromSeller: number}}
+ */
+function countNftTransfers(logs, nftContract, seller) {
+    const transfers = logs.filter(log =>
+        log.address.toLowerCase() === nftContract &&
+        log.topics[0] === TRANSFER_EVENT_TOPIC &&
+        log.topics.length === 4
+    );
+    return {
+        total: transfers.length,
+        fromSeller: transfers.filter(log => ethers.dataSlice(log.topics[1], 12).toLowerCase() === seller.toLowerCase()).length
+    };
+}
+
+/**
+ * Work out whether a Transfer was a marketplace sale and at what price
+ * For a single-token transaction the price is everything the buyer paid in the payment
+ * token (seller proceeds plus fees). When the buyer paid nothing directly, e.g. through an
+ * aggregator, or the transaction moved several tokens, the price is what the seller received,
+ * and only when the seller sold no other token in it; otherwise it stays unset.
+ * @param {ethers.Provider} provider - Connected provider
+ * @param {object} collection - Registry entry the Transfer came from
+ * @param {string} txHash - Transaction containing the Transfer
+ * @param {string} seller - NFT sender
+ * @param {string} buyer - NFT recipient
+ * @returns {Promise<{marketplaceInvolved: boolean, isSale: boolean, price: number|null}>}
+ */
+export async function enrichTransfer(provider, collection, txHash, seller, buyer) {
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+        return { marketplaceInvolved: false, isSale: false, price: null };
+    }
+
+    const marketplace = collection.marketplaceContract;
+    const marketplaceInvolved = marketplace !== null && (
+        receipt.to?.toLowerCase() === marketplace ||
+        receipt.logs.some(log => log.address.toLowerCase() === marketplace)
+    );
+
+    const payments = collection.paymentToken ? getPaymentTransfers(receipt.logs, collection.paymentToken.address) : [];
+    const sumPayments = matches => payments.filter(matches).reduce((sum, payment) => sum + payment.amount, 0n);
+    const items = countNftTransfers(receipt.logs, collection.nftContract, seller);
+
+    let total = items.total <= 1 ? sumPayments(payment => payment.from.toLowerCase() === buyer.toLowerCase()) : 0n;
+    if (total === 0n && items.fromSeller === 1) {
+        total = sumPayments(payment => payment.to.toLowerCase() === seller.toLowerCase());
+    }
+
+    const price = total > 0n ? parseFloat(ethers.formatUnits(total, collection.paymentToken.decimals)) : null;
+    console.log('[SalesHistory] Tx', txHash, '- marketplace:', marketplaceInvolved, 'tokens:', items.total, 'payments:', payments.length, 'price:', price, '(seller', seller + ')');
+
+    return {
+        marketplaceInvolved,
+        isSale: marketplaceInvolved && price !== null,
+        price
+    };
+}
+
+class SalesHistory {
+    constructor() {
+        // Serializes read-modify-write updates so concurrent transfers don't overwrite each other
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a history update after every previously queued update
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} - Result of fn
+     */
+    enqueue(fn) {
+        const run = this.queue.then(fn);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        const result = await chrome.storage.local.get('sales-history');
+        return result['sales-history'] || {};
+    }
+
+    /**
+     * Store a decoded sale
+     * @param {object} sale - { tokenId, collection, price, seller, buyer, txHash, blockNumber, timestamp }
+     */
+    record(sale) {
+        return this.enqueue(async () => {
+            const history = await this.load();
+            const key = getHistoryKey(sale.tokenId, sale.collection);
+            const sales = (history[key] || []).filter(existing => existing.txHash !== sale.txHash);
+            history[key] = [sale, ...sales].slice(0, MAX_SALES_PER_TOKEN);
+
+            // Keep the most recently traded tokens only
+            const keys = Object.keys(history);
+            if (keys.length > MAX_TOKENS) {
+                keys
+                    .sort((a, b) => history[b][0].timestamp.localeCompare(history[a][0].timestamp))
+                    .slice(MAX_TOKENS)
+                    .forEach(staleKey => delete history[staleKey]);
+            }
+
+            await chrome.storage.local.set({ 'sales-history': history });
+            console.log('[SalesHistory] Recorded sale of token', sale.tokenId, 'at $' + sale.price.toFixed(2));
+        });
+    }
+
+    /**
+     * Drop a sale whose transaction was reorged out
+     * @param {string} tokenId - Card token ID
+     * @param {string} txHash - Sale transaction hash
+     * @param {string} [collectionId] - Collection the token belongs to
+     */
+    remove(tokenId, txHash, collectionId) {
+        return this.enqueue(async () => {
+            const history = await this.load();
+            const key = getHistoryKey(tokenId, collectionId);
+            if (!history[key]) {
+                return;
+            }
+            history[key] = history[key].filter(sale => sale.txHash !== txHash);
+            if (history[key].length === 0) {
+                delete history[key];
+            }
+            await chrome.storage.local.set({ 'sales-history': history });
+            console.log('[SalesHistory] Removed reorged sale of token', tokenId, txHash);
+        });
+    }
+
+    /**
+     * Most recent recorded sale for a token
+     * @param {string} tokenId - Card token ID
+     * @param {string} [collectionId] - Collection the token belongs to
+     * @returns {Promise<object|null>}
+     */
+    async getLastSale(tokenId, collectionId) {
+        const history = await this.load();
+        return history[getHistoryKey(tokenId, collectionId)]?.[0] || null;
+    }
+}
+
+export const salesHistory = new SalesHistory();
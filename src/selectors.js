@@ -0,0 +1,176 @@
+// Selector registry
+// Every DOM lookup the scrapers make lives here so a Renaiss frontend deploy only needs fixing in one place.
+// Bump SELECTOR_REGISTRY_VERSION whenever a selector changes.
+
+const SELECTOR_REGISTRY_VERSION = '2026.10.1';
+
+/**
+ * Selector entries
+ * - type: 'xpath', 'css' or 'text' (exact trimmed text match on `tag` elements)
+ * - scope: resolved through SELECTOR_SCOPES; entries without scope run against the document
+ * - context: 'modal' entries only exist while the Make Offer modal is open
+ * - optional: missing is expected on some pages (e.g. a card with no offers)
+ */
+const SELECTORS = {
+    card: {
+        ownerLabel: {
+            type: 'text', tag: 'span', value: 'Owned by',
+            description: "'Owned by' label next to the owner link"
+        },
+        offerLabel: {
+            type: 'text', tag: 'span', value: 'offer', optional: true,
+            description: "'offer' label on each row of the offers list"
+        },
+        offerBidder: {
+            type: 'css', value: 'div > div > span:nth-of-type(2)', scope: 'offerRow', optional: true,
+            description: 'Bidder address inside an offer row'
+        },
+        listPrice: {
+            type: 'xpath', value: "//span[contains(text(), 'Current Price')]/following-sibling::span",
+            description: 'Current listing price'
+        },
+        fmv: {
+            type: 'xpath', value: "//span[contains(text(), 'FMV')]/following-sibling::span",
+            description: 'Fair market value'
+        },
+        offerBtn: {
+            type: 'xpath', value: "//button[contains(., 'Make offer')]",
+            description: "'Make offer' button"
+        },
+        offerModal: {
+            type: 'css', value: '[role="dialog"]', context: 'modal',
+            description: 'Make Offer modal'
+        },
+        priceInput: {
+            type: 'xpath', value: "//input[@placeholder='0.00']", context: 'modal',
+            description: 'Offer price input'
+        },
+        confirmOfferBtn: {
+            type: 'xpath', value: "//button[contains(., 'confirm offer')]", context: 'modal',
+            description: "'Confirm offer' button"
+        }
+    },
+    marketplace: {
+        card: {
+            type: 'css', value: 'div.rounded-xl.overflow-hidden.relative',
+            description: 'Card tile in the marketplace grid'
+        },
+        cardLink: {
+            type: 'css', value: 'a[href*="/card/"]', scope: 'marketplaceCard',
+            description: 'Link to the card page (token ID)'
+        },
+        cardName: {
+            type: 'css', value: 'div:nth-child(2) span', scope: 'marketplaceCard',
+            description: 'Card name'
+        },
+        listingPrice: {
+            type: 'css', value: '.p-3 > div > div:nth-child(1) > span', scope: 'marketplaceCard',
+            description: 'Listing price on the card tile'
+        },
+        fmvPrice: {
+            type: 'css', value: 'div[class*="bg-white/20"] > span.text-xs.font-medium.text-white', scope: 'marketplaceCard',
+            description: 'FMV badge on the card tile'
+        }
+    }
+};
+
+// Resolve the element scoped selectors are evaluated in during the self-test
+const SELECTOR_SCOPES = {
+    offerRow: () => findBySelector(SELECTORS.card.offerLabel)?.closest('div')?.nextElementSibling,
+    marketplaceCard: () => findAllBySelector(SELECTORS.marketplace.card)
+        .find(card => card.textContent.includes('$'))
+};
+
+/**
+ * Find every element matching a registry entry
+ * @param {object} entry - Entry from SELECTORS
+ * @param {ParentNode} root - Element to search in
+ * @returns {Element[]}
+ */
+function findAllBySelector(entry, root = document) {
+    if (entry.type === 'text') {
+        return [...root.querySelectorAll(entry.tag)]
+            .filter(el => el.textContent.trim() === entry.value);
+    }
+    if (entry.type === 'xpath') {
+        const doc = root.ownerDocument || root;
+        const snapshot = doc.evaluate(entry.value, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        return Array.from({ length: snapshot.snapshotLength }, (_, i) => snapshot.snapshotItem(i));
+    }
+    return [...root.querySelectorAll(entry.value)];
+}
+
+/**
+ * Find the first element matching a registry entry
+ * @param {object} entry - Entry from SELECTORS
+ * @param {ParentNode} root - Element to search in
+ * @returns {Element|null}
+ */
+function findBySelector(entry, root = document) {
+    if (entry.type === 'xpath') {
+        const doc = root.ownerDocument || root;
+        return doc.evaluate(entry.value, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    }
+    if (entry.type === 'text') {
+        return findAllBySelector(entry, root)[0] || null;
+    }
+    return root.querySelector(entry.value);
+}
+
+/**
+ * Check every selector for a page against the current document
+ * @param {string} page - 'card' or 'marketplace'
+ * @returns {object} - { version, page, url, results: [{ key, description, status, count }] }
+ */
+function runSelectorSelfTest(page) {
+    const results = Object.entries(SELECTORS[page]).map(([key, entry]) => {
+        const result = { key, description: entry.description, count: 0 };
+
+        if (entry.context === 'modal' && !findBySelector(SELECTORS.card.offerModal)) {
+            return { ...result, status: 'skipped' };
+        }
+
+        const root = entry.scope ? SELECTOR_SCOPES[entry.scope]() : document;
+        if (!root) {
+            return { ...result, status: entry.optional ? 'optional-missing' : 'missing' };
+        }
+
+        try {
+            result.count = findAllBySelector(entry, root).length;
+        } catch (error) {
+            console.error('[Selectors] Self-test failed for', key, error);
+        }
+
+        if (result.count > 0) {
+            return { ...result, status: 'found' };
+        }
+        return { ...result, status: entry.optional ? 'optional-missing' : 'missing' };
+    });
+
+    return {
+        version: SELECTOR_REGISTRY_VERSION,
+        page,
+        url: window.location.href,
+        results
+    };
+}
+
+/**
+ * Snapshot the current page as a scraper fixture
+ * Stores the HTML next to what the scrapers extract from it today, so a later
+ * snapshot of the same page shows exactly which values changed.
+ * @param {string} page - 'card' or 'marketplace'
+ * @param {object} extracted - Values the scrapers read from this page
+ * @returns {object} - Fixture ready to be saved as JSON
+ */
+function captureFixture(page, extracted) {
+    return {
+        page,
+        url: window.location.href,
+        capturedAt: new Date().toISOString(),
+        selectorVersion: SELECTOR_REGISTRY_VERSION,
+        selfTest: runSelectorSelfTest(page).results,
+        extracted,
+        html: document.documentElement.outerHTML
+    };
+}
@@ -1,19 +1,39 @@
 // Service Worker for Renaiss Price Analyzer
 import { nftListener } from './nft-listener.js';
+import { budgetManager } from './budget-manager.js';
+import { offerLedger } from './offer-ledger.js';
+import { tabQueue } from './tab-queue.js';
+import { readOnchainOffers } from './onchain-offers.js';
+import { salesHistory } from './sales-history.js';
+import { transferFilter } from './transfer-filter.js';
+import { fmvCache } from './fmv-cache.js';
+import { notifier } from './notifier.js';
+import { endpointHealth } from './endpoint-health.js';
 
 console.log('Service Worker loaded');
 
+// Pick up listening tabs and the last processed block from before a restart
+nftListener.resume();
+// Likewise queued card tabs and the slots held by open ones
+tabQueue.resume();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === 'nft-listener-keep-alive') {
+        nftListener.resume();
+    }
+    if (alarm.name === 'tab-queue-resume') {
+        tabQueue.resume();
+    }
+});
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Service Worker received message:', request);
 
     if (request.action === 'openTab') {
-        chrome.tabs.create(
-            { url: request.url, active: false },
-            (tab) => {
-                console.log('Opened background tab:', tab.id, request.url);
-                sendResponse({ success: true });
-            }
-        );
+        tabQueue.enqueue(request.url, request.source, request.collection).then((result) => {
+            console.log('Tab request for', request.url, result.queued ? 'queued' : 'skipped: ' + result.reason);
+            sendResponse({ success: true, ...result });
+        });
         return true; // Indicates async response
     }
 });
@@ -77,15 +97,85 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
 
         sendResponse({ success: true, message: 'NFT listening stopped' });
+    } else if (request.action === 'reserve-budget') {
+        budgetManager.reserve(request.tokenId, request.amount, request.collection)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, reason: 'Budget error: ' + error.message }));
+        return true;
+    } else if (request.action === 'settle-budget') {
+        budgetManager.settle(request.reservationId, request.result, request.duration)
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, reason: 'Budget error: ' + error.message }));
+        return true;
+    } else if (request.action === 'read-onchain-offers') {
+        readOnchainOffers(request.tokenId, request.collection)
+            .then((offers) => sendResponse({ success: true, ...offers }))
+            .catch((error) => {
+                console.error('[ServiceWorker] On-chain offer read failed:', error.message);
+                sendResponse({ success: false, message: error.message });
+            });
+        return true;
+    } else if (request.action === 'ledger-record') {
+        offerLedger.record(request.entry)
+            .then((id) => sendResponse({ success: true, id }))
+            .catch((error) => sendResponse({ success: false, message: 'Ledger error: ' + error.message }));
+        return true;
+    } else if (request.action === 'ledger-query') {
+        offerLedger.query(request.filters)
+            .then((entries) => sendResponse({ success: true, entries }))
+            .catch((error) => sendResponse({ success: false, message: 'Ledger error: ' + error.message }));
+        return true;
+    } else if (request.action === 'get-last-sale') {
+        salesHistory.getLastSale(request.tokenId, request.collection)
+            .then((sale) => sendResponse({ success: true, sale }))
+            .catch((error) => sendResponse({ success: false, message: 'Sales history error: ' + error.message }));
+        return true;
+    } else if (request.action === 'get-deal-signals') {
+        Promise.all([fmvCache.getTrend(request.tokenId, request.collection), offerLedger.getOfferCount(request.tokenId, request.collection)])
+            .then(([fmvTrend, offerCount]) => sendResponse({ success: true, fmvTrend, offerCount }))
+            .catch((error) => sendResponse({ success: false, message: 'Deal signal error: ' + error.message }));
+        return true;
+    } else if (request.action === 'cache-fmv') {
+        fmvCache.record(request.entries)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, message: 'FMV cache error: ' + error.message }));
+        return true;
+    } else if (request.action === 'reset-transfer-filter-stats') {
+        transferFilter.resetStats()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, message: 'Transfer filter error: ' + error.message }));
+        return true;
+    } else if (request.action === 'notify') {
+        notifier.notify(request.type, request.details)
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, message: 'Notification error: ' + error.message }));
+        return true;
+    } else if (request.action === 'probe-endpoints') {
+        endpointHealth.probeAll()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, message: 'Endpoint probe error: ' + error.message }));
+        return true;
+    } else if (request.action === 'get-budget-status') {
+        budgetManager.updateStorageStatus()
+            .then(() => sendResponse({ success: true }))
+            .catch((error) => sendResponse({ success: false, reason: 'Budget error: ' + error.message }));
+        return true;
     } else {
         console.log('[ServiceWorker] Unknown action:', request.action);
     }
+    // Only the branches above that answer asynchronously keep the channel open
+    return false;
+});
 
-    return true;
+// Open the card behind a clicked notification
+chrome.notifications.onClicked.addListener((notificationId) => {
+    notifier.handleClick(notificationId);
 });
 
 // Clean up when tabs close
 chrome.tabs.onRemoved.addListener((tabId) => {
+    tabQueue.releaseSlot(tabId);
+
     if (nftListener.tabs.has(tabId)) {
         nftListener.unregisterTab(tabId);
         if (!nftListener.hasActiveTabs()) {
@@ -93,3 +183,21 @@ chrome.tabs.onRemoved.addListener((tabId) => {
         }
     }
 });
+
+// Recompute remaining budget, open tabs and endpoint list when their settings change,
+// and move the listener to a newly selected network or collection set
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.budgetSettings) {
+        budgetManager.updateStorageStatus();
+    }
+    if (areaName === 'local' && changes.tabQueueSettings) {
+        tabQueue.processQueue();
+    }
+    if (areaName === 'local' && changes.endpointSettings) {
+        endpointHealth.save();
+    }
+    if (areaName === 'local' && changes.networkSettings) {
+        endpointHealth.save();
+        nftListener.applyNetworkSettings();
+    }
+});
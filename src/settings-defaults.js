@@ -0,0 +1,47 @@
+// Settings defaults
+// The popup shows these until the user saves their own, and the card page and service worker
+// fall back to them, so all three agree on what an unset setting means.
+
+// outbidWatcher, read by outbid-watcher.js
+const DEFAULT_OUTBID_WATCHER_SETTINGS = {
+    enabled: false,
+    maxRebids: 3,
+    ceilingPremium: 0, // Re-offers never go above FMV * (1 + ceilingPremium), unless the card's watchlist entry sets its own
+    watchMinutes: 30
+};
+
+// notificationSettings, read by notifier.js; one switch per event type
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    watchlistTransfer: true,
+    offerPlaced: true,
+    offerFailed: true,
+    outbid: true,
+    listenerFailed: true,
+    transferReorged: true
+};
+
+// tabQueueSettings, read by tab-queue.js
+const DEFAULT_TAB_QUEUE_SETTINGS = {
+    maxConcurrentTabs: 4,
+    dedupeWindowMinutes: 10
+};
+
+// transferRules, read by transfer-filter.js
+const DEFAULT_TRANSFER_RULES = {
+    marketplaceOnly: true,
+    ignoreZeroAddress: true,
+    ignoredWallets: [],      // Our own address (userAddress) is always ignored as well
+    watchlistOnly: false,
+    minFmv: 0,               // Uses FMVs cached from marketplace scans; unknown FMV passes
+    minPrice: 0              // Uses the decoded sale price; unknown price fails when set
+};
+
+// listenerSettings.confirmations, read by nft-listener.js: blocks a transfer must be buried under before it is acted on
+const DEFAULT_CONFIRMATIONS = 3;
+
+// Service worker modules import this file and read the defaults they need off globalThis
+globalThis.DEFAULT_OUTBID_WATCHER_SETTINGS = DEFAULT_OUTBID_WATCHER_SETTINGS;
+globalThis.DEFAULT_NOTIFICATION_SETTINGS = DEFAULT_NOTIFICATION_SETTINGS;
+globalThis.DEFAULT_TAB_QUEUE_SETTINGS = DEFAULT_TAB_QUEUE_SETTINGS;
+globalThis.DEFAULT_TRANSFER_RULES = DEFAULT_TRANSFER_RULES;
+globalThis.DEFAULT_CONFIRMATIONS = DEFAULT_CONFIRMATIONS;
@@ -0,0 +1,134 @@
+// Offer strategy engine
+// Shared by the card page content script and the popup.
+
+/**
+ * Built-in strategy profiles
+ * - threshold: targetOffer must be above threshold * FMV to be placed
+ * - fallbackAmount: amount placed to keep an existing bid alive
+ * - maxPremium: max fraction above FMV an offer may reach (null = no cap)
+ * - keepAlive: place fallbackAmount when the user is already bidding but the target is too low
+ * - duration: offer duration label, null = use the global default
+ * - durationTiers: [{ minPremium, duration }] overrides by how far above FMV the offer is
+ */
+const DEFAULT_STRATEGY_PROFILES = {
+    standard: {
+        label: 'Standard',
+        threshold: 0.95,
+        fallbackAmount: 1.00,
+        maxPremium: null,
+        keepAlive: true,
+        duration: null,
+        durationTiers: []
+    },
+    conservative: {
+        label: 'Conservative',
+        threshold: 0.98,
+        fallbackAmount: 1.00,
+        maxPremium: 0,
+        keepAlive: true,
+        duration: null,
+        durationTiers: []
+    },
+    aggressive: {
+        label: 'Aggressive',
+        threshold: 0.90,
+        fallbackAmount: 1.00,
+        maxPremium: 0.05,
+        keepAlive: true,
+        duration: null,
+        durationTiers: [{ minPremium: 0.02, duration: '3 days' }]
+    }
+};
+
+const DEFAULT_STRATEGY_NAME = 'standard';
+
+/**
+ * Merge built-in profiles with the user's saved profiles
+ * @param {object} savedProfiles - Profiles stored under `strategyProfiles`
+ * @returns {object} - Profiles keyed by name
+ */
+function mergeStrategyProfiles(savedProfiles) {
+    const profiles = {};
+    for (const [name, profile] of Object.entries(DEFAULT_STRATEGY_PROFILES)) {
+        profiles[name] = { ...profile };
+    }
+    for (const [name, profile] of Object.entries(savedProfiles || {})) {
+        profiles[name] = { ...(profiles[name] || DEFAULT_STRATEGY_PROFILES[DEFAULT_STRATEGY_NAME]), ...profile };
+    }
+    return profiles;
+}
+
+/**
+ * Load the active strategy profile from storage
+ * @returns {Promise<object>} - Active profile with its `name`
+ */
+function loadActiveStrategy() {
+    return new Promise(resolve => {
+        chrome.storage.local.get(['activeStrategy', 'strategyProfiles'], (result) => {
+            const profiles = mergeStrategyProfiles(result.strategyProfiles);
+            const name = profiles[result.activeStrategy] ? result.activeStrategy : DEFAULT_STRATEGY_NAME;
+            resolve({ name, ...profiles[name] });
+        });
+    });
+}
+
+/**
+ * Decide which offer to place for a card
+ * @param {object} inputs - { targetOffer, fmv, isBidding }
+ * @param {object} profile - Strategy profile
+ * @returns {{amount: number|null, reason: string}} - amount is null when no offer should be placed
+ */
+function decideOffer({ targetOffer, fmv, isBidding }, profile) {
+    const minimum = profile.threshold * fmv;
+
+    if (targetOffer > minimum) {
+        if (profile.maxPremium !== null && profile.maxPremium !== undefined && fmv > 0) {
+            const cap = Math.floor(fmv * (1 + profile.maxPremium) * 100) / 100;
+            if (targetOffer > cap) {
+                return {
+                    amount: cap,
+                    reason: `Target $${targetOffer.toFixed(2)} capped at ${(profile.maxPremium * 100).toFixed(0)}% over FMV`
+                };
+            }
+        }
+        return {
+            amount: targetOffer,
+            reason: `Target above ${(profile.threshold * 100).toFixed(0)}% of FMV`
+        };
+    }
+
+    if (profile.keepAlive && isBidding) {
+        return {
+            amount: profile.fallbackAmount,
+            reason: 'Keep-alive: already bidding, target below threshold'
+        };
+    }
+
+    return {
+        amount: null,
+        reason: `Target $${targetOffer.toFixed(2)} below ${(profile.threshold * 100).toFixed(0)}% of FMV`
+    };
+}
+
+/**
+ * Resolve the offer duration for a card
+ * @param {number} amount - Offer amount
+ * @param {number} fmv - Fair market value
+ * @param {object} profile - Strategy profile
+ * @param {string} defaultDuration - Global default duration
+ * @returns {string} - Duration label to select in the Make Offer modal
+ */
+function resolveOfferDuration(amount, fmv, profile, defaultDuration) {
+    let duration = profile.duration || defaultDuration || DEFAULT_OFFER_DURATION;
+
+    if (fmv > 0 && profile.durationTiers && profile.durationTiers.length > 0) {
+        const premium = (amount - fmv) / fmv;
+        const tier = [...profile.durationTiers]
+            .sort((a, b) => b.minPremium - a.minPremium)
+            .find(t => premium >= t.minPremium);
+        if (tier) {
+            duration = tier.duration;
+        }
+    }
+    return duration;
+}
@@ -0,0 +1,255 @@
+// src/tab-queue.js
+/**
+ * Tab Queue Module
+ * Opens card tabs in priority order with a concurrency limit and per-token dedupe.
+ * State lives in chrome.storage.session so a service worker restart picks up where it left off.
+ */
+
+import { DEFAULT_COLLECTION_ID, getTokenKey } from './contracts.js';
+import './card-url.js'; // Classic script shared with the content scripts
+import './settings-defaults.js'; // Classic script shared with the popup
+
+const { getTokenIdFromUrl, addCollectionToUrl, DEFAULT_TAB_QUEUE_SETTINGS } = globalThis;
+
+// Lower number opens first
+const TAB_PRIORITIES = {
+    transfer: 0,
+    scan: 1
+};
+
+// Card tabs close themselves after offering; free the slot anyway if one stays open
+const TAB_SLOT_TIMEOUT_MS = 90 * 1000;
+
+const TAB_QUEUE_STATE_KEY = 'tab-queue-state';
+// Wakes the service worker while tabs are queued or open, since slot timers die with it
+const TAB_QUEUE_ALARM = 'tab-queue-resume';
+const TAB_QUEUE_ALARM_PERIOD_MINUTES = 0.5;
+
+class TabQueue {
+    constructor() {
+        this.queue = [];
+        this.activeTabs = new Map(); // tabId -> { tokenId, source, openedAt, timeout }
+        this.recentlyOpened = new Map(); // getTokenKey() -> timestamp
+        this.skippedDuplicates = 0;
+        this.isProcessing = false;
+        this.processAgain = false;
+        this.restorePromise = null;
+    }
+
+    /**
+     * Load the queue saved before the service worker was stopped; runs once per worker
+     * @returns {Promise<void>}
+     */
+    restore() {
+        if (!this.restorePromise) {
+            this.restorePromise = chrome.storage.session.get(TAB_QUEUE_STATE_KEY).then(({ [TAB_QUEUE_STATE_KEY]: state }) => {
+                if (!state) {
+                    return;
+                }
+                this.queue = state.queue;
+                this.recentlyOpened = new Map(state.recentlyOpened);
+                this.skippedDuplicates = state.skippedDuplicates;
+                for (const [tabId, active] of state.activeTabs) {
+                    this.trackTab(tabId, active);
+                }
+                console.log('[TabQueue] Restored', this.queue.length, 'queued and', this.activeTabs.size, 'open tab(s)');
+            }).catch((error) => {
+                console.error('[TabQueue] Failed to restore state:', error);
+            });
+        }
+        return this.restorePromise;
+    }
+
+    /**
+     * Pick up the saved queue and open whatever fits; called on startup and from the resume alarm
+     */
+    async resume() {
+        await this.restore();
+        await this.processQueue();
+    }
+
+    /**
+     * Hold a slot for an open card tab until it closes or times out
+     * @param {number} tabId - Chrome tab ID
+     * @param {object} active - { tokenId, source, openedAt }
+     */
+    trackTab(tabId, { tokenId, source, openedAt }) {
+        const remaining = Math.max(0, openedAt + TAB_SLOT_TIMEOUT_MS - Date.now());
+        this.activeTabs.set(tabId, {
+            tokenId,
+            source,
+            openedAt,
+            timeout: setTimeout(() => this.releaseSlot(tabId), remaining)
+        });
+    }
+
+    async getSettings() {
+        const result = await chrome.storage.local.get('tabQueueSettings');
+        return { ...DEFAULT_TAB_QUEUE_SETTINGS, ...result.tabQueueSettings };
+    }
+
+    /**
+     * Queue a card tab to be opened
+     * @param {string} url - Card page URL
+     * @param {string} source - 'transfer' or 'scan'
+     * @param {string} [collectionId] - Collection the card belongs to; defaults to the built-in one
+     * @returns {Promise<{queued: boolean, reason?: string}>}
+     */
+    async enqueue(url, source = 'scan', collectionId) {
+        await this.restore();
+        const settings = await this.getSettings();
+        const tokenId = getTokenIdFromUrl(url) || url;
+        const key = getTokenKey(collectionId, tokenId);
+        const priority = TAB_PRIORITIES[source] ?? TAB_PRIORITIES.scan;
+
+        const lastOpened = this.recentlyOpened.get(key);
+        if (lastOpened && Date.now() - lastOpened < settings.dedupeWindowMinutes * 60 * 1000) {
+            this.skippedDuplicates++;
+            console.log('[TabQueue] Skipping token', tokenId, '- opened', Math.round((Date.now() - lastOpened) / 1000), 's ago');
+            await this.save();
+            return { queued: false, reason: 'Opened recently' };
+        }
+
+        const existing = this.queue.find(item => item.key === key);
+        if (existing) {
+            // Keep one entry per token, at the higher priority
+            if (priority < existing.priority) {
+                existing.priority = priority;
+                existing.source = source;
+                this.sortQueue();
+            }
+            this.skippedDuplicates++;
+            await this.save();
+            return { queued: false, reason: 'Already queued' };
+        }
+
+        // The card page reads its collection back from the URL (getCollectionFromUrl)
+        const cardUrl = collectionId && collectionId !== DEFAULT_COLLECTION_ID ? addCollectionToUrl(url, collectionId) : url;
+        this.queue.push({ url: cardUrl, key, tokenId, source, priority, enqueuedAt: Date.now() });
+        this.sortQueue();
+        console.log('[TabQueue] Queued token', tokenId, 'from', source, '- queue length:', this.queue.length);
+
+        this.processQueue();
+        return { queued: true };
+    }
+
+    sortQueue() {
+        this.queue.sort((a, b) => a.priority - b.priority || a.enqueuedAt - b.enqueuedAt);
+    }
+
+    /**
+     * Open queued tabs until the concurrency limit is reached
+     */
+    async processQueue() {
+        if (this.isProcessing) {
+            // A slot freed mid-run; go through the queue again afterwards
+            this.processAgain = true;
+            return;
+        }
+        this.isProcessing = true;
+
+        try {
+            await this.restore();
+            const settings = await this.getSettings();
+            while (this.queue.length > 0 && this.activeTabs.size < settings.maxConcurrentTabs) {
+                const item = this.queue.shift();
+                try {
+                    const tab = await chrome.tabs.create({ url: item.url, active: false });
+                    this.recentlyOpened.set(item.key, Date.now());
+                    this.trackTab(tab.id, { tokenId: item.tokenId, source: item.source, openedAt: Date.now() });
+                    console.log('[TabQueue] Opened background tab:', tab.id, item.url, '(' + item.source + ')');
+                } catch (error) {
+                    console.error('[TabQueue] Failed to open tab:', item.url, error);
+                }
+            }
+            this.pruneRecentlyOpened(settings);
+        } finally {
+            this.isProcessing = false;
+        }
+
+        if (this.processAgain) {
+            this.processAgain = false;
+            return this.processQueue();
+        }
+        await this.save();
+    }
+
+    pruneRecentlyOpened(settings) {
+        const cutoff = Date.now() - settings.dedupeWindowMinutes * 60 * 1000;
+        for (const [key, openedAt] of this.recentlyOpened) {
+            if (openedAt < cutoff) {
+                this.recentlyOpened.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Free the slot held by a card tab and open the next queued one
+     * @param {number} tabId - Chrome tab ID
+     */
+    async releaseSlot(tabId) {
+        await this.restore();
+        const active = this.activeTabs.get(tabId);
+        if (!active) {
+            return;
+        }
+        clearTimeout(active.timeout);
+        this.activeTabs.delete(tabId);
+        console.log('[TabQueue] Released slot for tab', tabId, '- active tabs:', this.activeTabs.size);
+        this.processQueue();
+    }
+
+    /**
+     * Persist the queue, keep the resume alarm running while there is work left, and update the popup
+     */
+    async save() {
+        try {
+            await chrome.storage.session.set({
+                [TAB_QUEUE_STATE_KEY]: {
+                    queue: this.queue,
+                    activeTabs: [...this.activeTabs].map(([tabId, { tokenId, source, openedAt }]) => [tabId, { tokenId, source, openedAt }]),
+                    recentlyOpened: [...this.recentlyOpened],
+                    skippedDuplicates: this.skippedDuplicates
+                }
+            });
+            if (this.queue.length > 0 || this.activeTabs.size > 0) {
+                // Re-creating the alarm would push its first run back on every save
+                if (!await chrome.alarms.get(TAB_QUEUE_ALARM)) {
+                    chrome.alarms.create(TAB_QUEUE_ALARM, { periodInMinutes: TAB_QUEUE_ALARM_PERIOD_MINUTES });
+                }
+            } else {
+                chrome.alarms.clear(TAB_QUEUE_ALARM);
+            }
+        } catch (error) {
+            console.error('[TabQueue] Failed to save state:', error);
+        }
+        await this.updateStorageStatus();
+    }
+
+    /**
+     * Write queue state to chrome.storage for the popup
+     */
+    async updateStorageStatus() {
+        try {
+            const settings = await this.getSettings();
+            await chrome.storage.local.set({
+                'tab-queue-status': {
+                    activeCount: this.activeTabs.size,
+                    maxConcurrentTabs: settings.maxConcurrentTabs,
+                    queuedCount: this.queue.length,
+                    queuedBySource: this.queue.reduce((counts, item) => {
+                        counts[item.source] = (counts[item.source] || 0) + 1;
+                        return counts;
+                    }, {}),
+                    skippedDuplicates: this.skippedDuplicates,
+                    nextTokens: this.queue.slice(0, 5).map(item => item.tokenId),
+                    updatedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('[TabQueue] Failed to update storage:', error);
+        }
+    }
+}
+
+export const tabQueue = new TabQueue();
@@ -0,0 +1,129 @@
+// src/transfer-filter.js
+/**
+ * Transfer Filter Module
+ * Decides which detected Transfers are worth opening a card tab for, and counts what was dropped
+ */
+
+import { ethers } from 'https://esm.sh/ethers@6.11.1';
+import { DEFAULT_COLLECTION_ID } from './contracts.js';
+import { fmvCache } from './fmv-cache.js';
+import './settings-defaults.js'; // Classic script shared with the popup
+import './watchlist.js'; // Classic script shared with the content scripts and the popup
+
+const { DEFAULT_TRANSFER_RULES, findWatchlistEntry } = globalThis;
+
+class TransferFilter {
+    constructor() {
+        this.stats = {
+            evaluated: 0,
+            passed: 0,
+            dropped: {} // reason -> count
+        };
+        this.statsLoaded = false;
+    }
+
+    // Counters survive service worker restarts
+    async loadStats() {
+        if (this.statsLoaded) {
+            return;
+        }
+        const { 'transfer-filter-stats': saved } = await chrome.storage.local.get('transfer-filter-stats');
+        if (saved) {
+            this.stats = { evaluated: saved.evaluated, passed: saved.passed, dropped: { ...saved.dropped } };
+        }
+        this.statsLoaded = true;
+    }
+
+    async getRules() {
+        const result = await chrome.storage.local.get(['transferRules', 'userAddress', 'watchlist']);
+        const rules = { ...DEFAULT_TRANSFER_RULES, ...result.transferRules };
+        const ignoredWallets = [...rules.ignoredWallets];
+        if (result.userAddress) {
+            ignoredWallets.push(result.userAddress);
+        }
+        return {
+            ...rules,
+            ignoredWallets: ignoredWallets.map(address => address.trim().toLowerCase()).filter(Boolean),
+            watchlist: result.watchlist || []
+        };
+    }
+
+    /**
+     * Run a transfer through the rules
+     * @param {object} transfer - { tokenId, collection, from, to, marketplaceInvolved, salePrice }
+     * @returns {Promise<{actionable: boolean, reason?: string, watchlistEntry: object|null}>}
+     */
+    async evaluate(transfer) {
+        await this.loadStats();
+        const rules = await this.getRules();
+        const tile = await fmvCache.getTile(transfer.tokenId, transfer.collection);
+        // Watchlist entries leave the collection unset for the built-in one
+        const watchlistCollection = transfer.collection === DEFAULT_COLLECTION_ID ? null : transfer.collection;
+        const watchlistEntry = findWatchlistEntry(rules.watchlist, transfer.tokenId, tile?.name, watchlistCollection);
+        const reason = this.findDropReason(transfer, rules, tile, watchlistEntry);
+
+        this.stats.evaluated++;
+        if (reason) {
+            this.stats.dropped[reason] = (this.stats.dropped[reason] || 0) + 1;
+            console.log('[TransferFilter] Dropped token', transfer.tokenId, '-', reason);
+        } else {
+            this.stats.passed++;
+        }
+        await this.updateStorageStatus();
+
+        return reason ? { actionable: false, reason, watchlistEntry } : { actionable: true, watchlistEntry };
+    }
+
+    findDropReason(transfer, rules, tile, watchlistEntry) {
+        const from = transfer.from.toLowerCase();
+        const to = transfer.to.toLowerCase();
+
+        if (rules.ignoreZeroAddress && (from === ethers.ZeroAddress || to === ethers.ZeroAddress)) {
+            return 'mint-or-burn';
+        }
+        if (rules.ignoredWallets.includes(from) || rules.ignoredWallets.includes(to)) {
+            return 'ignored-wallet';
+        }
+        // Watchlisted cards follow their own auto-offer rule instead of the general ones
+        if (watchlistEntry) {
+            return watchlistEntry.autoOfferOnTransfer ? null : 'watchlist-no-auto-offer';
+        }
+        if (rules.watchlistOnly) {
+            return 'not-watchlisted';
+        }
+        if (rules.marketplaceOnly && !transfer.marketplaceInvolved) {
+            return 'not-marketplace';
+        }
+        if (rules.minPrice > 0 && (transfer.salePrice === null || transfer.salePrice < rules.minPrice)) {
+            return 'below-min-price';
+        }
+        if (rules.minFmv > 0 && tile && tile.fmv < rules.minFmv) {
+            return 'below-min-fmv';
+        }
+        return null;
+    }
+
+    resetStats() {
+        this.stats = { evaluated: 0, passed: 0, dropped: {} };
+        this.statsLoaded = true;
+        return this.updateStorageStatus();
+    }
+
+    /**
+     * Write filter counters to chrome.storage for the popup
+     */
+    async updateStorageStatus() {
+        try {
+            await chrome.storage.local.set({
+                'transfer-filter-stats': {
+                    ...this.stats,
+                    updatedAt: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            console.error('[TransferFilter] Failed to update storage:', error);
+        }
+    }
+}
+
+export const transferFilter = new TransferFilter();
@@ -1,30 +1,55 @@
-function createHelperUI(fmv, list, targetOffer) {
+function createHelperUI(fmv, list, targetOffer, details) {
     const overlay = document.createElement('div');
     overlay.id = 'helper-overlay';
     overlay.innerHTML = `
         <div style="display:flex; gap:20px; align-items:center; padding:10px; background:#000000; border-radius:4px;">
             <span><b>FMV:</b> $${fmv.toFixed(2)}</span>
             <span><b>listing:</b> $${list.toFixed(2)}</span>
-            <span style="color:${targetOffer > 0.95 * fmv ? '#4ade80' : '#ef4444'}"><b>Target Offer: $${targetOffer.toFixed(2)}</b></span>
+            <span style="color:${details.meetsThreshold ? '#4ade80' : '#ef4444'}"><b>Target Offer: $${targetOffer.toFixed(2)}</b>${details.isLocalEstimate ? ' (local estimate)' : ''}</span>
+            <span data-helper-strategy><b>Strategy:</b> </span>
+            ${details.watchlist ? '<span data-helper-watchlist style="color:#facc15"><b>★ Watchlist</b> </span>' : ''}
             <button id="auto-offer-btn" class="helper-btn">Execute Auto-Offer</button>
         </div>
     `;
+    // Strategy labels are user-entered; set them as text so they can't inject markup
+    const strategy = overlay.querySelector('[data-helper-strategy]');
+    strategy.setAttribute('title', details.reason);
+    strategy.append(details.strategy);
+    // Watchlist labels and alerts quote the user's name patterns
+    if (details.watchlist) {
+        const watchlist = overlay.querySelector('[data-helper-watchlist]');
+        watchlist.setAttribute('title', details.watchlist.alert || '');
+        watchlist.append(details.watchlist.label + (details.watchlist.alert ? ' - ' + details.watchlist.alert : ''));
+    }
     document.body.prepend(overlay);
 
     return document.getElementById('auto-offer-btn');
 }
 
-function showCompletion() {
-    const redCircle = document.createElement('div');
-    redCircle.style.cssText = `
+function showCompletion(color = 'red') {
+    const circle = document.createElement('div');
+    circle.style.cssText = `
         width: 20px;
         height: 20px;
-        background-color: red;
+        background-color: ${color};
         border-radius: 50%;
         margin-left: 10px;
     `;
     const overlayDiv = document.getElementById('helper-overlay')?.querySelector('div');
     if (overlayDiv) {
-        overlayDiv.appendChild(redCircle);
+        overlayDiv.appendChild(circle);
+    }
+}
+
+function showError(message) {
+    const errorText = document.createElement('span');
+    errorText.style.cssText = `
+        color: #ef4444;
+        font-weight: bold;
+    `;
+    errorText.textContent = message;
+    const overlayDiv = document.getElementById('helper-overlay')?.querySelector('div');
+    if (overlayDiv) {
+        overlayDiv.appendChild(errorText);
     }
 }
@@ -1,5 +1,34 @@
 const sleep = (ms) => new Promise(res => setTimeout(res, ms));
 
+// Promise wrapper around chrome.runtime.sendMessage, resolves null on runtime errors
+function sendRuntimeMessage(message) {
+    return new Promise(resolve => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[ERROR] Runtime message failed:', message.action, chrome.runtime.lastError.message);
+                resolve(null);
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+function shortenAddress(address) {
+    if (!address) {
+        return '';
+    }
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Compare addresses that may be full (on-chain) or shortened like 0x1234...abcd (page text)
+function addressesMatch(a, b) {
+    if (!a || !b) {
+        return false;
+    }
+    return shortenAddress(a).toLowerCase() === shortenAddress(b).toLowerCase();
+}
+
 // Safe number parsing utility
 function safeParse(value) {
     const parsed = parseFloat(value);
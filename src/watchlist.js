@@ -0,0 +1,82 @@
+/**
+ * Watchlist
+ * Cards the user cares about, matched by token ID or card-name pattern, each with its own
+ * alert and offer rules. Shared by the popup, the card page and the marketplace analyzer.
+ * The transfer filter imports it too, so only loadWatchlist() may touch chrome APIs.
+ */
+
+const DEFAULT_WATCHLIST_ENTRY = {
+    tokenId: '',
+    collection: null,          // Collection the tokenId belongs to; null is the built-in one
+    namePattern: '',           // Case-insensitive, '*' matches anything, in any collection
+    maxPrice: null,            // Offers on this card never go above it
+    alertBelowFmvPct: null,    // Alert when listed at least this fraction below FMV
+    ceilingPremium: null,      // Outbid re-offers stay under FMV * (1 + ceilingPremium); null uses the watcher default
+    autoOfferOnTransfer: true  // Open the card and offer when it transfers
+};
+
+function loadWatchlist() {
+    return new Promise(resolve => {
+        chrome.storage.local.get('watchlist', (result) => {
+            resolve((result.watchlist || []).map(entry => ({ ...DEFAULT_WATCHLIST_ENTRY, ...entry })));
+        });
+    });
+}
+
+function namePatternToRegExp(pattern) {
+    const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(escaped, 'i');
+}
+
+/**
+ * Find the watchlist entry for a card
+ * Token ID matches win over name patterns.
+ * @param {object[]} watchlist - Entries from loadWatchlist()
+ * @param {string} tokenId - Card token ID
+ * @param {string} cardName - Card name, when known
+ * @param {string|null} [collectionId] - Collection the card belongs to; null is the built-in one
+ * @returns {object|null}
+ */
+function findWatchlistEntry(watchlist, tokenId, cardName, collectionId = null) {
+    const byToken = watchlist.find(entry => entry.tokenId && String(entry.tokenId) === String(tokenId) &&
+        (entry.collection || null) === collectionId);
+    if (byToken) {
+        return byToken;
+    }
+    if (!cardName) {
+        return null;
+    }
+    return watchlist.find(entry => entry.namePattern && namePatternToRegExp(entry.namePattern).test(cardName)) || null;
+}
+
+/**
+ * Describe why a listing is worth an alert under an entry's rules
+ * @param {object} entry - Watchlist entry
+ * @param {number} listingPrice - Current listing price
+ * @param {number} fmv - Fair market value
+ * @returns {string|null} - Alert text, or null when no rule fires
+ */
+function getWatchlistAlert(entry, listingPrice, fmv) {
+    if (entry.alertBelowFmvPct !== null && fmv > 0 && listingPrice <= fmv * (1 - entry.alertBelowFmvPct)) {
+        return `Listed ${Math.round((1 - listingPrice / fmv) * 100)}% below FMV`;
+    }
+    if (entry.maxPrice !== null && listingPrice <= entry.maxPrice) {
+        return `Listed at or under max price $${entry.maxPrice.toFixed(2)}`;
+    }
+    return null;
+}
+
+/**
+ * Short label for an entry, for overlays and logs
+ * @param {object} entry - Watchlist entry
+ * @returns {string}
+ */
+function describeWatchlistEntry(entry) {
+    if (!entry.tokenId) {
+        return `"${entry.namePattern}"`;
+    }
+    return entry.collection ? `${entry.collection} #${entry.tokenId}` : `#${entry.tokenId}`;
+}
+
+// The transfer filter only matches entries; it loads the watchlist together with its rules
+globalThis.findWatchlistEntry = findWatchlistEntry;
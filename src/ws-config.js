@@ -1,61 +1,34 @@
 // src/ws-config.js
 /**
- * WebSocket endpoints for BSC blockchain connection
- * Endpoints should be added during research phase
+ * RPC endpoints for the active network
+ * Built-in pools come from the network registry in contracts.js; users add, remove or
+ * disable their own from the popup (see getEndpointPools)
  */
-export const WS_ENDPOINTS = {
-    pools: [
-        "wss://bsc-rpc.publicnode.com",
-        "wss://bsc.drpc.org",
-        "wss://bsc.callstaticrpc.com",
-        // Add WebSocket endpoints here
-        // Example: 'wss://bsc-ws-node.nariox.org:443'
-    ],
-    currentIndex: 0
-};
 
-/**
- * HTTP RPC endpoint pool for fallback and polling
- */
-export const RPC_POOL = {
-    endpoints: [
-        "https://bsc-mainnet.public.blastapi.io",
-        "https://binance.llamarpc.com",
-        "https://bsc.rpc.blxrbdn.com",
-        "https://api.zan.top/bsc-mainnet",
-        "https://bsc-dataseed.binance.org/"
-    ],
-    currentIndex: 0
-};
+import { DEFAULT_NETWORK_ID, getActiveNetwork } from './contracts.js';
 
 /**
- * Get the next WebSocket endpoint in round-robin fashion
- * @returns {string|null} WebSocket endpoint URL or null if no endpoints configured
+ * Built-in pools of the active network merged with the user's endpoint settings
+ * endpointSettings: { custom: [{ url, type: 'ws'|'http', network }], disabled: [url] }
+ * Custom endpoints saved before networks existed have no network and belong to the default one.
+ * @returns {Promise<{ws: object[], http: object[]}>} - Entries are { url, type, source, disabled }
  */
-export function getNextWsEndpoint() {
-    if (WS_ENDPOINTS.pools.length === 0) {
-        console.warn('No WebSocket endpoints configured, will use HTTP fallback');
-        return null;
-    }
-    const endpoint = WS_ENDPOINTS.pools[WS_ENDPOINTS.currentIndex];
-    WS_ENDPOINTS.currentIndex = (WS_ENDPOINTS.currentIndex + 1) % WS_ENDPOINTS.pools.length;
-    return endpoint;
-}
+export async function getEndpointPools() {
+    const network = await getActiveNetwork();
+    const { endpointSettings = {} } = await chrome.storage.local.get('endpointSettings');
+    const disabled = new Set(endpointSettings.disabled || []);
+    const custom = (endpointSettings.custom || [])
+        .filter(endpoint => (endpoint.network || DEFAULT_NETWORK_ID) === network.id);
 
-/**
- * Get the next HTTP RPC endpoint in round-robin fashion
- * @returns {string} HTTP RPC endpoint URL
- */
-export function getNextRpcEndpoint() {
-    const endpoint = RPC_POOL.endpoints[RPC_POOL.currentIndex];
-    RPC_POOL.currentIndex = (RPC_POOL.currentIndex + 1) % RPC_POOL.endpoints.length;
-    return endpoint;
-}
-
-/**
- * Get the HTTP fallback RPC endpoint (uses pool)
- * @returns {string} HTTP RPC endpoint URL
- */
-export function getFallbackRpcEndpoint() {
-    return getNextRpcEndpoint();
+    const toEntry = (url, type, source) => ({ url, type, source, disabled: disabled.has(url) });
+    return {
+        ws: [
+            ...network.wsEndpoints.map(url => toEntry(url, 'ws', 'built-in')),
+            ...custom.filter(endpoint => endpoint.type === 'ws').map(endpoint => toEntry(endpoint.url, 'ws', 'custom'))
+        ],
+        http: [
+            ...network.httpEndpoints.map(url => toEntry(url, 'http', 'built-in')),
+            ...custom.filter(endpoint => endpoint.type === 'http').map(endpoint => toEntry(endpoint.url, 'http', 'custom'))
+        ]
+    };
 }
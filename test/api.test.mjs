@@ -0,0 +1,75 @@
+// test/api.test.mjs
+/**
+ * How the card page reads /calculate_offer answers, and the api-status record the popup shows
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts } from './support/classic-scripts.mjs';
+import { installChrome } from './support/chrome.mjs';
+
+const PAGE = { url: 'https://www.renaiss.xyz/card/1001', html: '<!DOCTYPE html><html><body></body></html>' };
+
+/**
+ * Load the API scripts with fetch answering every call the same way
+ * @param {{status: number, body: *}} answer - HTTP status and JSON body
+ * @returns {{window: Window, chrome: object}}
+ */
+function loadApi(answer) {
+    let chrome;
+    const window = loadClassicScripts(PAGE, ['config.js', 'utils.js', 'api-client.js', 'api.js'], (window) => {
+        // Retry backoff and request timeouts run 100x faster
+        const setTimeout = window.setTimeout.bind(window);
+        window.setTimeout = (fn, ms, ...args) => setTimeout(fn, ms / 100, ...args);
+        window.console.error = () => {};
+        window.chrome = chrome = installChrome();
+        window.fetch = async () => ({
+            ok: answer.status >= 200 && answer.status < 300,
+            status: answer.status,
+            statusText: answer.status === 200 ? 'OK' : 'Error',
+            json: async () => answer.body
+        });
+    });
+    return { window, chrome };
+}
+
+const calculateOffer = (window) => window.getCalculatedOffer('1001', 130.25, 120, '0xowner', [], [], false);
+const getApiStatus = (chrome) => chrome.storage.local.data.get('api-status');
+
+describe('getCalculatedOffer', () => {
+    it('returns the calculated price', async () => {
+        const { window } = loadApi({ status: 200, body: { calculated_price: 98.5 } });
+        assert.equal(await calculateOffer(window), 98.5);
+    });
+
+    it('returns null when the backend is down so the caller can estimate locally', async () => {
+        const { window } = loadApi({ status: 503, body: {} });
+        assert.equal(await calculateOffer(window), null);
+    });
+
+    it('throws on a success without a price, like on a refused request', async () => {
+        for (const body of [{ calculated_price: null }, {}, null, { calculated_price: '98.5' }]) {
+            const { window, chrome } = loadApi({ status: 200, body });
+            await assert.rejects(calculateOffer(window), (error) => {
+                assert.equal(error.name, 'ApiError');
+                assert.match(error.message, /^Malformed \/calculate_offer response: calculated_price is /);
+                return true;
+            }, JSON.stringify(body));
+            assert.equal(getApiStatus(chrome).lastError.path, '/calculate_offer');
+        }
+    });
+});
+
+describe('api-status', () => {
+    it('keeps every outcome when calls finish together', async () => {
+        const { window, chrome } = loadApi({ status: 200, body: {} });
+        await Promise.all([
+            window.reportApiStatus('production', '/query_trade', null),
+            window.reportApiStatus('production', '/calculate_offer', new (window.eval('ApiError'))('API returned 401: Unauthorized', 401))
+        ]);
+        const status = getApiStatus(chrome);
+        assert.equal(status.lastSuccess.path, '/query_trade');
+        assert.equal(status.lastError.path, '/calculate_offer');
+        assert.equal(status.lastError.status, 401);
+    });
+});
@@ -0,0 +1,45 @@
+// test/budget-manager.test.mjs
+/**
+ * Open-offer exposure across collections
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+
+let worker = 0;
+
+describe('budget manager', () => {
+    let chrome;
+    let budgetManager;
+
+    beforeEach(async () => {
+        chrome = installChrome();
+        chrome.storage.local.data.set('budgetSettings', { maxOpenExposure: 150 });
+        ({ budgetManager } = await import(`../src/budget-manager.js?worker=${++worker}`));
+    });
+
+    async function place(tokenId, amount, collectionId) {
+        const reservation = await budgetManager.reserve(tokenId, amount, collectionId);
+        if (reservation.success) {
+            await budgetManager.settle(reservation.reservationId, 'placed', '1 day');
+        }
+        return reservation;
+    }
+
+    it('counts the same token ID in two collections as two open offers', async () => {
+        assert.equal((await place('7', 100)).success, true);
+        const custom = await place('7', 100, 'custom-abc');
+        assert.deepEqual(custom, { success: false, reason: 'Open exposure would exceed $150.00' });
+
+        const status = chrome.storage.local.data.get('budget-status');
+        assert.equal(status.openOffersCount, 1);
+        assert.equal(status.openExposure, 100);
+    });
+
+    it('replaces the exposure of a re-offer on the same card', async () => {
+        assert.equal((await place('7', 100, 'custom-abc')).success, true);
+        assert.equal((await place('7', 140, 'custom-abc')).success, true);
+        assert.equal(chrome.storage.local.data.get('budget-status').openExposure, 140);
+    });
+});
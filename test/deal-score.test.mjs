@@ -0,0 +1,80 @@
+// test/deal-score.test.mjs
+/**
+ * Deal score weighting, verdict thresholds, unknown factors and the badge tooltip
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts } from './support/classic-scripts.mjs';
+
+const PAGE = { url: 'https://www.renaiss.xyz/marketplace', html: '<!DOCTYPE html><html><body></body></html>' };
+
+describe('deal score', () => {
+    const window = loadClassicScripts(PAGE, ['deal-score.js']);
+    const defaults = window.eval('DEFAULT_DEAL_SCORE_SETTINGS');
+    const score = (inputs, settings = defaults) => window.calculateDealScore({
+        listingPrice: 90, fmv: 100, lastSalePrice: 0, offerCount: null, fmvTrend: null, ...inputs
+    }, settings);
+    const missingKeys = (result) => [...result.missing].map(factor => factor.key);
+
+    it('adds weighted factor points to a neutral 50', () => {
+        // Signals: discount 10/30, last trade 20/30, offers 5/5, trend 5/10
+        const result = score({ lastSalePrice: 108, offerCount: 5, fmvTrend: 0.05 });
+        const points = Object.fromEntries([...result.factors].map(factor => [factor.key, Math.round(factor.points * 100) / 100]));
+        assert.deepEqual(points, { discount: 8.33, lastTrade: 6.67, offers: 5, trend: 5 });
+        assert.equal(result.score, 75);
+        assert.equal(result.verdict, 'Good Deal');
+        assert.deepEqual(missingKeys(result), []);
+    });
+
+    it('clamps strong signals and the score to 0-100', () => {
+        assert.equal(score({ listingPrice: 10 }).score, 100);
+        assert.equal(score({ listingPrice: 400 }).score, 0);
+    });
+
+    it('rates at the thresholds as good deal and overpriced', () => {
+        const rate = (inputs, settings) => {
+            const { score: value, verdict } = score(inputs, settings);
+            return { score: value, verdict };
+        };
+        assert.deepEqual(rate({ listingPrice: 91 }), { score: 65, verdict: 'Good Deal' });
+        assert.deepEqual(rate({ listingPrice: 92 }), { score: 63, verdict: 'Fair Price' });
+        assert.deepEqual(rate({ listingPrice: 109 }), { score: 35, verdict: 'Overpriced' });
+
+        const strict = { ...defaults, goodDealScore: 80, overpricedScore: 20 };
+        assert.deepEqual(rate({ listingPrice: 91 }, strict), { score: 65, verdict: 'Fair Price' });
+    });
+
+    it('leaves out unknown factors, rescales the rest and lists what was left out', () => {
+        const result = score({});
+        assert.deepEqual([...result.factors].map(factor => factor.key), ['discount']);
+        assert.equal(result.score, 67, 'the discount alone carries the full weight');
+        assert.deepEqual(missingKeys(result), ['lastTrade', 'offers', 'trend']);
+
+        // A zero offer count is known, not missing
+        assert.deepEqual(missingKeys(score({ lastSalePrice: 95, offerCount: 0, fmvTrend: 0 })), []);
+    });
+
+    it('does not flag factors the user weighted at zero', () => {
+        const noOffers = { ...defaults, weights: { ...defaults.weights, offers: 0 } };
+        assert.deepEqual(missingKeys(score({ lastSalePrice: 95, fmvTrend: 0 }, noOffers)), []);
+    });
+
+    it('describes each factor and each unknown one in the tooltip', () => {
+        assert.equal(window.describeDealScore(score({ lastSalePrice: 108, offerCount: 5, fmvTrend: 0.05 })), [
+            'Deal score 75/100 (Good Deal)',
+            'Discount to FMV: -10.0% vs FMV $100.00 → +8',
+            'Last trade: $108.00 (+20.0% vs listing) → +7',
+            'Open offers: 5 open → +5',
+            'FMV trend: +5.0% this week → +5'
+        ].join('\n'));
+
+        assert.equal(window.describeDealScore(score({ listingPrice: 110, lastSalePrice: 99, fmvTrend: -0.02 })), [
+            'Deal score 35/100 (Overpriced)',
+            'Discount to FMV: +10.0% vs FMV $100.00 → -9',
+            'Last trade: $99.00 (-10.0% vs listing) → -4',
+            'FMV trend: -2.0% this week → -2',
+            'Open offers: unknown, left out (only counted for cards whose page was opened in the last week)'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/// Stand-in for the card collection: just enough ERC721 to emit the Transfer logs the listener watches
+contract TestCards {
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+
+    mapping(uint256 => address) public ownerOf;
+
+    function mint(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == address(0), "minted");
+        ownerOf[tokenId] = to;
+        emit Transfer(address(0), to, tokenId);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == from && msg.sender == from, "not owner");
+        ownerOf[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+}
@@ -0,0 +1,16 @@
+// test/e2e/hardhat.config.cjs
+// Dev chain for the e2e suite; contracts are compiled with solc-js by the tests, not by Hardhat
+const os = require('node:os');
+const path = require('node:path');
+
+module.exports = {
+    networks: {
+        hardhat: {
+            chainId: 31337
+        }
+    },
+    paths: {
+        cache: path.join(os.tmpdir(), 'renaiss-e2e-hardhat-cache'),
+        artifacts: path.join(os.tmpdir(), 'renaiss-e2e-hardhat-artifacts')
+    }
+};
@@ -0,0 +1,218 @@
+// test/e2e/listener.e2e.test.mjs
+/**
+ * Transfer listener against a Hardhat dev chain
+ * TestCards stands in for the collection; marketplace tabs and storage are the in-memory chrome mock.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { installChrome } from '../support/chrome.mjs';
+import { waitFor } from '../support/wait.mjs';
+import { startHardhatNode, deployTestCards } from './support/hardhat.mjs';
+import { NFTListener } from '../../src/nft-listener.js';
+import { endpointHealth } from '../../src/endpoint-health.js';
+
+const PORT = 18545;
+const MARKETPLACE_TAB_ID = 7;
+// Chain round trips through the listener: subscription push, receipt lookup, storage writes
+const CHAIN_TIMEOUT_MS = 20 * 1000;
+
+describe('NFT listener on a dev chain', () => {
+    let node;
+    let provider;
+    let cards;
+    let accounts;
+    let nextTokenId = 1;
+    let chrome;
+    let listener;
+
+    before(async () => {
+        node = await startHardhatNode(PORT);
+        ({ provider, cards, accounts } = await deployTestCards(node.httpUrl));
+    });
+
+    after(async () => {
+        provider?.destroy();
+        await node?.stop();
+    });
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        chrome = installChrome();
+        await chrome.storage.local.set({
+            networkSettings: {
+                network: 'local',
+                collections: ['test-cards'],
+                custom: [{
+                    id: 'test-cards',
+                    name: 'Test Cards',
+                    network: 'local',
+                    nftContract: await cards.getAddress(),
+                    marketplaceContract: null,
+                    paymentToken: null,
+                    cardUrlTemplate: 'https://www.renaiss.xyz/card/{tokenId}'
+                }]
+            },
+            endpointSettings: {
+                custom: [
+                    { url: node.wsUrl, type: 'ws', network: 'local' },
+                    { url: node.httpUrl, type: 'http', network: 'local' }
+                ],
+                disabled: ['ws://127.0.0.1:8545', 'http://127.0.0.1:8545']
+            },
+            transferRules: { marketplaceOnly: false },
+            listenerSettings: { confirmations: 0 }
+        });
+
+        listener = new NFTListener();
+        listener.registerTab(MARKETPLACE_TAB_ID);
+        assert.equal(await listener.startListening(), true);
+    });
+
+    afterEach(async () => {
+        await listener.stopListening();
+        clearTimeout(endpointHealth.saveTimeout);
+        endpointHealth.saveTimeout = null;
+        mock.restoreAll();
+    });
+
+    // Mint to the first account, then hand the card to the second; the mint itself is dropped as mint-or-burn.
+    // Hardhat only mines on transactions, so mine one more block the way a live chain would: a log can reach
+    // the listener after its own head, and then only the next head confirms it.
+    async function tradeCard() {
+        const tokenId = String(nextTokenId++);
+        const [seller, buyer] = await Promise.all(accounts.slice(0, 2).map(account => account.getAddress()));
+        await (await cards.mint(seller, tokenId)).wait();
+        const receipt = await (await cards.transferFrom(seller, buyer, tokenId)).wait();
+        await provider.send('evm_mine', []);
+        return { tokenId, seller, buyer, txHash: receipt.hash };
+    }
+
+    const transferMessages = (tokenId) => chrome.tabs.messages
+        .filter(({ tabId, message }) => tabId === MARKETPLACE_TAB_ID && message.action === 'transfer-detected' && message.tokenId === tokenId);
+
+    async function expectTransferDetected(trade) {
+        await waitFor(() => transferMessages(trade.tokenId).length > 0, { timeoutMs: CHAIN_TIMEOUT_MS, message: `transfer-detected for token ${trade.tokenId}` });
+        const [{ message }] = transferMessages(trade.tokenId);
+        assert.deepEqual({ ...message }, {
+            action: 'transfer-detected',
+            tokenId: trade.tokenId,
+            collection: 'test-cards',
+            cardUrl: `https://www.renaiss.xyz/card/${trade.tokenId}`,
+            from: trade.seller,
+            to: trade.buyer,
+            txHash: trade.txHash,
+            isSale: false,
+            salePrice: null,
+            watchlisted: false
+        });
+    }
+
+    const getStatus = async () => (await chrome.storage.local.get('nft-listener-status'))['nft-listener-status'];
+
+    it('tells marketplace tabs about transfers and reports them in the status', async () => {
+        assert.equal(listener.mode, 'subscription');
+        const trade = await tradeCard();
+        await expectTransferDetected(trade);
+
+        const status = await getStatus();
+        assert.equal(status.connectionStatus, 'connected');
+        assert.equal(status.mode, 'subscription');
+        assert.equal(status.activeEndpoint, node.wsUrl);
+        assert.deepEqual(status.network, { id: 'local', name: 'Local dev node' });
+        assert.equal(status.lastTransferEvent.tokenId, trade.tokenId);
+        assert.equal(status.lastTransferEvent.txHash, trade.txHash);
+        assert.equal(status.lastTransferEvent.droppedReason, null);
+        assert.equal(transferMessages(trade.tokenId).length, 1, 'one message per transfer');
+    });
+
+    it('reconnects after the socket drops and picks up transfers made meanwhile', async () => {
+        const droppedSocket = listener.getSocket();
+        droppedSocket.close();
+        await waitFor(() => droppedSocket.readyState === ethers.WebSocketProvider.CLOSED || droppedSocket.readyState === 3, { message: 'the socket to close' });
+
+        // Made while disconnected: only the backfill from the checkpoint can find it
+        const missed = await tradeCard();
+        listener.checkSubscription(); // The watchdog's next tick
+
+        await waitFor(() => listener.isListening && listener.getSocket() && listener.getSocket() !== droppedSocket,
+            { timeoutMs: CHAIN_TIMEOUT_MS, message: 'the listener to reconnect' });
+        await expectTransferDetected(missed);
+        await expectTransferDetected(await tradeCard());
+        assert.equal((await getStatus()).connectionStatus, 'connected');
+    });
+
+    // Endpoints go down by making createProvider() throw, so the node stays up for the other tests
+    function takeEndpointsDown() {
+        listener.createProvider = () => {
+            throw new Error('endpoint down');
+        };
+        const attemptTimes = [];
+        const startListening = listener.startListening.bind(listener);
+        listener.startListening = () => {
+            attemptTimes.push(Date.now());
+            return startListening();
+        };
+        return attemptTimes;
+    }
+
+    async function dropSocket() {
+        const droppedSocket = listener.getSocket();
+        droppedSocket.close();
+        await waitFor(() => droppedSocket.readyState === 3, { message: 'the socket to close' });
+        listener.checkSubscription();
+    }
+
+    it('doubles the delay between reconnect attempts', async () => {
+        mock.method(console, 'error', () => {});
+        listener.baseReconnectDelay = 100;
+        const attemptTimes = takeEndpointsDown();
+
+        const droppedAt = Date.now();
+        await dropSocket();
+        await waitFor(() => attemptTimes.length === 3, { timeoutMs: CHAIN_TIMEOUT_MS, message: 'three reconnect attempts' });
+
+        const gaps = attemptTimes.map((time, index) => time - (index === 0 ? droppedAt : attemptTimes[index - 1]));
+        [100, 200, 400].forEach((delay, index) => {
+            assert.ok(gaps[index] >= delay, `attempt ${index + 1} came ${gaps[index]} ms after the previous one, expected ${delay} ms`);
+        });
+        assert.ok(gaps[1] < 400, `attempt 2 came ${gaps[1]} ms after attempt 1: one failure counts as one attempt`);
+    });
+
+    it('gives up after maxReconnectAttempts and tells the user once', async () => {
+        mock.method(console, 'error', () => {});
+        listener.baseReconnectDelay = 10;
+        listener.maxReconnectAttempts = 3;
+        const attemptTimes = takeEndpointsDown();
+
+        await dropSocket();
+        await waitFor(() => listener.connectionStatus === 'failed' && chrome.notifications.created.length > 0,
+            { timeoutMs: CHAIN_TIMEOUT_MS, message: 'the listener to give up' });
+        await new Promise(resolve => setTimeout(resolve, 200)); // Nothing scheduled after giving up
+
+        assert.equal(attemptTimes.length, 3);
+        assert.equal(listener.reconnectTimeout, null);
+        assert.equal((await getStatus()).connectionStatus, 'failed');
+        assert.deepEqual(chrome.notifications.created.map(({ options }) => ({ title: options.title, message: options.message, priority: options.priority })), [{
+            title: 'Transfer listener stopped',
+            message: 'Could not reconnect after 3 attempts. Reopen the marketplace tab to retry.',
+            priority: 2
+        }]);
+    });
+
+    it('polls over HTTP while the subscription is stale and subscribes again later', async () => {
+        listener.lastHeadAt = Date.now() - 60 * 1000;
+        listener.checkSubscription();
+        await waitFor(() => listener.mode === 'polling' && listener.activeEndpointUrl === node.httpUrl,
+            { timeoutMs: CHAIN_TIMEOUT_MS, message: 'HTTP polling' });
+        assert.equal(listener.getSocket(), null);
+        await expectTransferDetected(await tradeCard());
+
+        await listener.tryResubscribe();
+        assert.equal(listener.mode, 'subscription');
+        assert.equal((await getStatus()).activeEndpoint, node.wsUrl);
+        await expectTransferDetected(await tradeCard());
+    });
+});
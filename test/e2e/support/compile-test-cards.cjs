@@ -0,0 +1,24 @@
+// test/e2e/support/compile-test-cards.cjs
+/**
+ * Compile TestCards.sol with solc-js and print { abi, bytecode } as JSON
+ * Runs in its own process: solc's emscripten build installs an unhandledRejection handler that
+ * rethrows, which would turn ethers' cancelled requests into test failures.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const solc = require('solc');
+
+const source = fs.readFileSync(path.join(__dirname, '../contracts/TestCards.sol'), 'utf8');
+const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { 'TestCards.sol': { content: source } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+})));
+const errors = (output.errors || []).filter(error => error.severity === 'error');
+if (errors.length > 0) {
+    process.stderr.write(errors.map(error => error.formattedMessage).join('\n'));
+    process.exit(1);
+}
+const contract = output.contracts['TestCards.sol'].TestCards;
+process.stdout.write(JSON.stringify({ abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` }));
@@ -0,0 +1,86 @@
+// test/e2e/support/hardhat.mjs
+/**
+ * Hardhat dev chain and the TestCards contract for the e2e suite
+ */
+
+import { execFile, spawn } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { ethers } from 'ethers';
+
+const require = createRequire(import.meta.url);
+const E2E_DIR = fileURLToPath(new URL('..', import.meta.url));
+const HARDHAT_BIN = require.resolve('hardhat/internal/cli/bootstrap');
+const COMPILE_SCRIPT = fileURLToPath(new URL('./compile-test-cards.cjs', import.meta.url));
+const NODE_READY = /Started HTTP and WebSocket JSON-RPC server/;
+const NODE_START_TIMEOUT_MS = 60 * 1000;
+const execFileAsync = promisify(execFile);
+
+/**
+ * Start `hardhat node` on a port
+ * @param {number} port - Serves HTTP and WebSocket JSON-RPC on it
+ * @returns {Promise<{httpUrl: string, wsUrl: string, stop: Function}>}
+ */
+export function startHardhatNode(port) {
+    const child = spawn(process.execPath, [HARDHAT_BIN, '--config', 'hardhat.config.cjs', 'node', '--port', String(port)], {
+        cwd: E2E_DIR,
+        env: { ...process.env, HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const stop = () => new Promise(resolve => {
+        if (child.exitCode !== null) {
+            resolve();
+            return;
+        }
+        child.once('exit', resolve);
+        child.kill();
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timeout = setTimeout(() => {
+            stop();
+            reject(new Error(`hardhat node did not start within ${NODE_START_TIMEOUT_MS} ms:\n${output}`));
+        }, NODE_START_TIMEOUT_MS);
+        const onData = (chunk) => {
+            output += chunk;
+            if (NODE_READY.test(output)) {
+                clearTimeout(timeout);
+                child.stdout.off('data', onData);
+                child.stdout.resume(); // Keep draining the request log so the node never blocks on a full pipe
+                resolve({ httpUrl: `http://127.0.0.1:${port}`, wsUrl: `ws://127.0.0.1:${port}`, stop });
+            }
+        };
+        child.stdout.setEncoding('utf8').on('data', onData);
+        child.stderr.setEncoding('utf8').on('data', chunk => { output += chunk; });
+        child.once('exit', (code) => {
+            clearTimeout(timeout);
+            reject(new Error(`hardhat node exited with code ${code}:\n${output}`));
+        });
+    });
+}
+
+/**
+ * Compile TestCards.sol with solc-js, in a child process (see compile-test-cards.cjs)
+ * @returns {Promise<{abi: object[], bytecode: string}>}
+ */
+export async function compileTestCards() {
+    const { stdout } = await execFileAsync(process.execPath, [COMPILE_SCRIPT], { maxBuffer: 16 * 1024 * 1024 });
+    return JSON.parse(stdout);
+}
+
+/**
+ * Deploy TestCards from the node's first account
+ * @param {string} httpUrl - Node URL
+ * @returns {Promise<{provider: ethers.JsonRpcProvider, cards: ethers.Contract, accounts: ethers.Signer[]}>}
+ */
+export async function deployTestCards(httpUrl) {
+    const { abi, bytecode } = await compileTestCards();
+    const provider = new ethers.JsonRpcProvider(httpUrl, undefined, { cacheTimeout: -1 });
+    const accounts = await Promise.all([0, 1, 2].map(index => provider.getSigner(index)));
+    const cards = await new ethers.ContractFactory(abi, bytecode, accounts[0]).deploy();
+    await cards.waitForDeployment();
+    return { provider, cards, accounts };
+}
@@ -0,0 +1,86 @@
+// test/endpoint-health.test.mjs
+/**
+ * Endpoint scoring
+ */
+
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+
+const URL_A = 'wss://bsc-rpc.publicnode.com';
+const TESTNET_URL = 'wss://bsc-testnet-rpc.publicnode.com';
+
+let worker = 0;
+
+describe('endpointHealth', () => {
+    let chrome;
+    let endpointHealth;
+
+    beforeEach(async () => {
+        chrome = installChrome();
+        ({ endpointHealth } = await import(`../src/endpoint-health.js?worker=${++worker}`));
+    });
+
+    it('counts an error once when both measure() and the caller record it', async () => {
+        const error = new Error('getLogs timed out');
+        await assert.rejects(endpointHealth.measure(URL_A, async () => {
+            throw error;
+        }));
+        endpointHealth.recordError(URL_A, error);
+        endpointHealth.recordError(URL_A, new Error('header not found'));
+
+        assert.deepEqual(endpointHealth.getStats(URL_A).outcomes, [false, false]);
+        clearTimeout(endpointHealth.saveTimeout);
+    });
+
+    it('measures lag only between heads from the same probe round', async () => {
+        mock.method(console, 'log', () => {});
+        endpointHealth.requestHead = async endpoint => (endpoint.url === URL_A ? 1000 : 1002);
+        await endpointHealth.probeAll();
+        const otherUrl = Object.keys(endpointHealth.stats).find(url => url !== URL_A);
+        assert.equal(endpointHealth.getStats(URL_A).lag, 2);
+        assert.equal(endpointHealth.getStats(otherUrl).lag, 0);
+
+        // The listener's next poll of the active endpoint is newer than every probed head
+        await endpointHealth.measure(URL_A, async () => 1010, true);
+        assert.equal(endpointHealth.getStats(URL_A).headBlock, 1010);
+        assert.equal(endpointHealth.getStats(otherUrl).lag, 0);
+
+        // An endpoint that does not answer a round has no known lag
+        endpointHealth.requestHead = async (endpoint) => {
+            if (endpoint.url === otherUrl) {
+                throw new Error('Timed out after 5000ms');
+            }
+            return 1020;
+        };
+        mock.method(console, 'warn', () => {});
+        await endpointHealth.probeAll();
+        assert.equal(endpointHealth.getStats(otherUrl).lag, null);
+        assert.equal(endpointHealth.getStats(URL_A).lag, 0);
+        clearTimeout(endpointHealth.saveTimeout);
+        mock.restoreAll();
+    });
+
+    it('keeps each network\'s scores when the other network saves', async () => {
+        await chrome.storage.local.set({ networkSettings: { network: 'bsc-testnet' } });
+        endpointHealth.recordSuccess(TESTNET_URL, 120, 1000);
+        await endpointHealth.save();
+
+        // The listener picks an endpoint on the new network before it measures anything there
+        await chrome.storage.local.set({ networkSettings: { network: 'bsc' } });
+        assert.equal(await endpointHealth.pick('ws', [URL_A]), 'wss://bsc.drpc.org');
+        endpointHealth.recordSuccess(URL_A, 80, 2000);
+        await endpointHealth.save();
+
+        const { 'endpoint-health': saved } = await chrome.storage.local.get('endpoint-health');
+        assert.deepEqual(Object.keys(saved).sort(), ['bsc', 'bsc-testnet']);
+        assert.equal(saved['bsc-testnet'][TESTNET_URL].latencyMs, 120);
+        assert.equal(saved.bsc[URL_A].latencyMs, 80);
+        assert.equal(saved.bsc[TESTNET_URL], undefined);
+
+        await chrome.storage.local.set({ networkSettings: { network: 'bsc-testnet' } });
+        await endpointHealth.load();
+        assert.equal(endpointHealth.getStats(TESTNET_URL).latencyMs, 120);
+        clearTimeout(endpointHealth.saveTimeout);
+    });
+});
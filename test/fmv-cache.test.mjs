@@ -0,0 +1,72 @@
+// test/fmv-cache.test.mjs
+/**
+ * FMV history and the trend read from it
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+import { fmvCache } from '../src/fmv-cache.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('fmvCache', () => {
+    let now;
+
+    beforeEach(() => {
+        installChrome();
+        now = Date.parse('2026-03-01T12:00:00Z');
+        mock.method(Date, 'now', () => now);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports the FMV change since the oldest point of the last week', async () => {
+        await fmvCache.record([{ tokenId: '7', fmv: 100, name: 'Charizard Holo' }]);
+        assert.equal(await fmvCache.getTrend('7'), null, 'one point is no trend');
+
+        now += 3 * DAY_MS;
+        await fmvCache.record([{ tokenId: '7', fmv: 110, name: 'Charizard Holo' }]);
+        assert.equal(await fmvCache.getTrend('7'), 0.1);
+
+        now += 5 * DAY_MS;
+        await fmvCache.record([{ tokenId: '7', fmv: 99, name: 'Charizard Holo' }]);
+        assert.equal(await fmvCache.getTrend('7'), -0.1, 'the first point has left the window');
+    });
+
+    it('keeps the history of tokens not scanned for days while their FMV goes stale', async () => {
+        await fmvCache.record([{ tokenId: '7', fmv: 100, name: 'Charizard Holo' }]);
+
+        now += 2 * DAY_MS;
+        await fmvCache.record([{ tokenId: '8', fmv: 40, name: 'Pikachu' }]);
+        assert.equal(await fmvCache.getTile('7'), null, 'the FMV itself is past its freshness');
+
+        now += 2 * DAY_MS;
+        await fmvCache.record([{ tokenId: '7', fmv: 120, name: 'Charizard Holo' }]);
+        assert.equal(await fmvCache.getTrend('7'), 0.2);
+
+        now += 8 * DAY_MS;
+        await fmvCache.record([{ tokenId: '8', fmv: 40, name: 'Pikachu' }]);
+        assert.equal(await fmvCache.getTrend('7'), null, 'dropped after a week unseen');
+    });
+
+    it('keeps every update when several tabs cache at once', async () => {
+        await Promise.all([
+            fmvCache.record([{ tokenId: '1', fmv: 10, name: 'One' }]),
+            fmvCache.record([{ tokenId: '2', fmv: 20, name: 'Two' }]),
+            fmvCache.record([{ tokenId: '3', fmv: 30, name: 'Three' }])
+        ]);
+        assert.deepEqual(await Promise.all(['1', '2', '3'].map(async tokenId => (await fmvCache.getTile(tokenId))?.fmv)), [10, 20, 30]);
+    });
+
+    it('keeps token IDs of different collections apart', async () => {
+        await fmvCache.record([{ tokenId: '7', fmv: 100, name: 'Built-in card' }]);
+        await fmvCache.record([{ tokenId: '7', fmv: 5, name: 'Custom card', collection: 'custom-abc' }]);
+
+        assert.equal((await fmvCache.getTile('7')).name, 'Built-in card');
+        assert.equal((await fmvCache.getTile('7', 'custom-abc')).fmv, 5);
+        assert.equal(await fmvCache.getTile('8'), null);
+    });
+});
@@ -0,0 +1,60 @@
+// test/log-chunks.test.mjs
+/**
+ * Adaptive getLogs ranges against an RPC that caps ranges and rate-limits
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LogChunker, getLogsInChunks } from '../src/log-chunks.js';
+
+// Serves one log per block and rejects ranges wider than maxRange
+function createProvider(maxRange, failures = []) {
+    const calls = [];
+    return {
+        calls,
+        async getLogs({ fromBlock, toBlock }) {
+            calls.push([fromBlock, toBlock]);
+            const failure = failures.shift();
+            if (failure) {
+                throw new Error(failure);
+            }
+            if (toBlock - fromBlock + 1 > maxRange) {
+                throw new Error('eth_getLogs block range is too large');
+            }
+            return Array.from({ length: toBlock - fromBlock + 1 }, (_, i) => ({ blockNumber: fromBlock + i }));
+        }
+    };
+}
+
+describe('getLogsInChunks', () => {
+    it('halves the range until the endpoint accepts it and returns every log once', async () => {
+        const provider = createProvider(600);
+        const chunker = new LogChunker();
+        const logs = await getLogsInChunks(provider, {}, 1, 3000, chunker);
+        assert.deepEqual(logs.map(log => log.blockNumber), Array.from({ length: 3000 }, (_, i) => i + 1));
+        assert.ok(chunker.size < 2000, 'the chunker remembers the smaller range');
+    });
+
+    it('grows the range back after a run of successes', async () => {
+        const chunker = new LogChunker();
+        chunker.size = 100;
+        await getLogsInChunks(createProvider(10000), {}, 1, 300, chunker);
+        assert.equal(chunker.size, 150);
+    });
+
+    it('backs off on rate limits and gives up on unrelated errors', async () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        try {
+            const chunker = new LogChunker();
+            const pending = getLogsInChunks(createProvider(10000, ['429 Too Many Requests']), {}, 1, 10, chunker);
+            await new Promise(resolve => setImmediate(resolve));
+            mock.timers.tick(1000);
+            assert.equal((await pending).length, 10);
+        } finally {
+            mock.timers.reset();
+        }
+
+        await assert.rejects(getLogsInChunks(createProvider(10000, ['execution reverted']), {}, 1, 10, new LogChunker()),
+            /execution reverted/);
+    });
+});
@@ -0,0 +1,35 @@
+// test/notifier.test.mjs
+/**
+ * Notification text, including events with missing fields
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+import { notifier } from '../src/notifier.js';
+
+describe('notifier', () => {
+    let chrome;
+
+    beforeEach(() => {
+        chrome = installChrome();
+    });
+
+    it('opens the card from an offer notification', async () => {
+        const id = await notifier.notify('offerPlaced', { tokenId: '42', amount: 12.5, duration: '1 day' });
+        assert.match(id, /^card-42:/);
+        assert.equal(chrome.notifications.created.at(-1).options.message, '$12.50 on token 42 for 1 day');
+    });
+
+    it('still notifies when a content script leaves out the amount', async () => {
+        const id = await notifier.notify('offerPlaced', { tokenId: '42' });
+        assert.ok(id);
+        assert.equal(chrome.notifications.created.at(-1).options.message, 'an unknown amount on token 42');
+    });
+
+    it('skips disabled event types', async () => {
+        await chrome.storage.local.set({ notificationSettings: { outbid: false } });
+        assert.equal(await notifier.notify('outbid', { tokenId: '42', topPrice: 10 }), null);
+        assert.equal(chrome.notifications.created.length, 0);
+    });
+});
@@ -0,0 +1,69 @@
+// test/outbid-watcher.test.mjs
+/**
+ * Re-bid cap of the outbid watcher, with the card page helpers it calls stubbed out
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts } from './support/classic-scripts.mjs';
+import { waitFor } from './support/wait.mjs';
+
+const PAGE = { url: 'https://www.renaiss.xyz/card/1001', html: '<!DOCTYPE html><html><body></body></html>' };
+const USER = '0x1111111111111111111111111111111111111111';
+const RIVAL = '0x2222222222222222222222222222222222222222';
+
+/**
+ * Load the watcher with an offers list whose top bid is the rival's until our re-bid is placed
+ * @param {string[]} budgetAnswers - 'ok' or 'rejected' for each reserveBudget() call in turn
+ * @returns {{window: Window, ledger: object[]}}
+ */
+function loadWatcher(budgetAnswers) {
+    const ledger = [];
+    let topBidder = RIVAL;
+    const window = loadClassicScripts(PAGE, ['utils.js', 'settings-defaults.js', 'outbid-watcher.js'], (window) => {
+        // The 3s offers-list debounce and the watch window run 100x faster
+        const setTimeout = window.setTimeout.bind(window);
+        window.setTimeout = (fn, ms, ...args) => setTimeout(fn, ms / 100, ...args);
+        window.chrome = {
+            storage: { local: { get: (keys, callback) => callback({ outbidWatcher: { maxRebids: 1, watchMinutes: 1 } }) } },
+            runtime: { sendMessage: (message, callback) => callback?.({ success: true }) }
+        };
+        Object.assign(window, {
+            getAllOffers: () => ({ bidders: [topBidder], prices: [topBidder === RIVAL ? '$100.00' : '$110.00'] }),
+            isUserCurrentlyBidding: (address, bidders) => bidders.includes(address),
+            getCalculatedOffer: async () => 110,
+            calculateLocalOffer: () => 110,
+            reserveBudget: async () => budgetAnswers.shift() === 'ok'
+                ? { success: true, reservationId: 'r1' }
+                : { success: false, reason: 'Daily budget exhausted' },
+            executeAutoOffer: async () => {
+                topBidder = USER;
+                return 'placed';
+            },
+            settleBudget: async () => {},
+            recordLedgerEntry: async (entry) => ledger.push(entry)
+        });
+    });
+    return { window, ledger };
+}
+
+/** Change the offers list the way a new bid would */
+function touchOffers(window) {
+    window.document.body.append(window.document.createElement('div'));
+}
+
+describe('outbid watcher', () => {
+    it('does not use up the re-bid cap on a budget rejection', async () => {
+        const { window, ledger } = loadWatcher(['rejected', 'ok']);
+        window.watchForOutbids({ tokenId: '1001', fmv: 200, userAddress: USER, maxPrice: null, ceilingPremium: null }, 90);
+        await new Promise(resolve => setTimeout(resolve, 10)); // Settings load before the observer starts
+
+        touchOffers(window);
+        await waitFor(() => ledger.length === 1, { message: 'the rejected re-bid to be logged' });
+        touchOffers(window);
+        await waitFor(() => ledger.length === 2, { message: 'a second re-bid under a cap of 1' });
+
+        assert.deepEqual(ledger.map(entry => entry.result), ['budget-rejected', 'placed']);
+        assert.match(ledger[1].reason, /\(re-bid 1\/1\)$/);
+    });
+});
@@ -0,0 +1,109 @@
+// test/price-analyzer.test.mjs
+/**
+ * Marketplace analyzer against the saved marketplace fixture
+ * The content script runs on its own once loaded; chrome.* answers like the service worker would.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts, readFixture } from './support/classic-scripts.mjs';
+import { waitFor } from './support/wait.mjs';
+
+const ANALYZER_SCRIPTS = ['config.js', 'api-client.js', 'selectors.js', 'card-url.js', 'marketplace-tiles.js', 'watchlist.js', 'deal-score.js', 'price-analyzer.js'];
+const LAST_SALE_PRICE = 125;
+const LISTED_TILES = 3; // 4512 has no FMV to score against
+
+/**
+ * Load the analyzer with a stub service worker
+ * @returns {{window: Window, messages: object[], tileReads: Function, changeDealScoreSettings: Function}}
+ */
+function startAnalyzer() {
+    const fixture = readFixture('marketplace.json');
+    const messages = [];
+    const storageListeners = [];
+    let tileReads = 0;
+
+    const window = loadClassicScripts(fixture, ANALYZER_SCRIPTS, (window) => {
+        // Debounce and per-card pauses shortened so a full pass takes milliseconds
+        const setTimeout = window.setTimeout.bind(window);
+        window.setTimeout = (fn, ms, ...args) => setTimeout(fn, Math.min(ms, 5), ...args);
+        window.chrome = {
+            runtime: {
+                sendMessage(message, callback) {
+                    messages.push(message);
+                    const responses = {
+                        'get-last-sale': { success: true, sale: { price: LAST_SALE_PRICE, txHash: '0xabc' } },
+                        'get-deal-signals': { success: true, offerCount: null, fmvTrend: null }
+                    };
+                    callback?.(responses[message.action] || { success: true, queued: true });
+                },
+                onMessage: { addListener() {} }
+            },
+            storage: {
+                local: { get: (keys, callback) => callback({}) },
+                onChanged: { addListener: listener => storageListeners.push(listener) }
+            }
+        };
+    });
+    // Counts tile reads; every scan reads every tile
+    const extractTileData = window.extractTileData;
+    window.extractTileData = (card) => {
+        tileReads++;
+        return extractTileData(card);
+    };
+
+    return {
+        window,
+        messages,
+        tileReads: () => tileReads,
+        changeDealScoreSettings: () => storageListeners.forEach(listener => listener({ dealScoreSettings: {} }, 'local'))
+    };
+}
+
+const badges = (window) => [...window.document.querySelectorAll('[data-price-indicator]')];
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('marketplace analyzer', () => {
+    it('caches the FMV and name of every tile with the service worker', async () => {
+        const { messages } = startAnalyzer();
+        await waitFor(() => messages.some(message => message.action === 'cache-fmv'));
+        const { entries } = messages.find(message => message.action === 'cache-fmv');
+        // Round-trip out of the jsdom realm so the objects compare by value
+        assert.deepEqual(JSON.parse(JSON.stringify(entries)), [
+            { tokenId: '1001', fmv: 130.25, name: '2016 Pokemon Evolutions Charizard Holo PSA 10' },
+            { tokenId: '2047', fmv: 1180, name: '1999 Pokemon Base Set Blastoise Holo PSA 9' },
+            { tokenId: '3310', fmv: 48.6, name: '2021 Pokemon Celebrations Pikachu PSA 10' }
+        ]);
+    });
+
+    it('badges listed tiles with their deal score and unlisted ones as such', async () => {
+        const { window } = startAnalyzer();
+        await waitFor(() => badges(window).length === LISTED_TILES, { message: 'a badge on every tile with an FMV' });
+
+        const [charizard, blastoise, pikachu] = badges(window);
+        // Discount 7.9% and last sale $125, offers and trend unknown
+        assert.equal(charizard.textContent, '61* · 8% off');
+        assert.match(charizard.title, /^Deal score 61\/100 \(Fair Price\)\n/);
+        assert.match(charizard.title, /Open offers: unknown, left out/);
+        assert.equal(blastoise.textContent.split(' · ')[1], '+6%');
+        assert.equal(pikachu.textContent, 'Unlisted');
+        assert.equal(pikachu.title, 'Not listed (FMV $48.60)');
+    });
+
+    it('does not rescan the page for its own badges', async () => {
+        const { window, tileReads, changeDealScoreSettings } = startAnalyzer();
+        await waitFor(() => badges(window).length === LISTED_TILES);
+        await settle();
+
+        const readsBefore = tileReads();
+        changeDealScoreSettings(); // Re-renders every badge
+        await settle();
+        assert.equal(tileReads(), readsBefore);
+
+        // A repriced tile is still picked up
+        const price = [...window.document.querySelectorAll('*')]
+            .find(element => element.children.length === 0 && element.textContent.trim() === '$120.00');
+        price.textContent = '$99.00';
+        await waitFor(() => badges(window)[0].textContent.endsWith('24% off'), { message: 'the repriced tile to be re-scored' });
+    });
+});
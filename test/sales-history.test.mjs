@@ -0,0 +1,89 @@
+// test/sales-history.test.mjs
+/**
+ * Sale prices decoded from receipts, and concurrent history updates
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { installChrome } from './support/chrome.mjs';
+import { COLLECTIONS, TRANSFER_EVENT_TOPIC } from '../src/contracts.js';
+import { enrichTransfer, salesHistory } from '../src/sales-history.js';
+
+const collection = COLLECTIONS.renaiss;
+const SELLER = '0x1111111111111111111111111111111111111111';
+const OTHER_SELLER = '0x2222222222222222222222222222222222222222';
+const BUYER = '0x3333333333333333333333333333333333333333';
+const ROUTER = '0x4444444444444444444444444444444444444444';
+const FEES = '0x5555555555555555555555555555555555555555';
+
+const topic = address => ethers.zeroPadValue(address, 32);
+
+function nftTransfer(from, to, tokenId) {
+    return {
+        address: collection.nftContract,
+        topics: [TRANSFER_EVENT_TOPIC, topic(from), topic(to), ethers.toBeHex(tokenId, 32)],
+        data: '0x'
+    };
+}
+
+function payment(from, to, amount) {
+    return {
+        address: collection.paymentToken.address,
+        topics: [TRANSFER_EVENT_TOPIC, topic(from), topic(to)],
+        data: ethers.toBeHex(ethers.parseUnits(amount, 18), 32)
+    };
+}
+
+function providerFor(logs) {
+    return { getTransactionReceipt: async () => ({ to: collection.marketplaceContract, logs }) };
+}
+
+describe('enrichTransfer', () => {
+    it('prices a single sale at everything the buyer paid', async () => {
+        const logs = [payment(BUYER, SELLER, '95'), payment(BUYER, FEES, '5'), nftTransfer(SELLER, BUYER, 1)];
+        const sale = await enrichTransfer(providerFor(logs), collection, '0xtx', SELLER, BUYER);
+        assert.deepEqual(sale, { marketplaceInvolved: true, isSale: true, price: 100 });
+    });
+
+    it('prices a purchase through a router at what the seller received', async () => {
+        const logs = [payment(ROUTER, SELLER, '95'), payment(ROUTER, FEES, '250'), nftTransfer(SELLER, BUYER, 1)];
+        const sale = await enrichTransfer(providerFor(logs), collection, '0xtx', SELLER, BUYER);
+        assert.equal(sale.price, 95);
+    });
+
+    it('prices each token of a multi-seller purchase at its own seller\'s proceeds', async () => {
+        const logs = [
+            payment(BUYER, SELLER, '40'),
+            payment(BUYER, OTHER_SELLER, '300'),
+            nftTransfer(SELLER, BUYER, 1),
+            nftTransfer(OTHER_SELLER, BUYER, 2)
+        ];
+        assert.equal((await enrichTransfer(providerFor(logs), collection, '0xtx', SELLER, BUYER)).price, 40);
+        assert.equal((await enrichTransfer(providerFor(logs), collection, '0xtx', OTHER_SELLER, BUYER)).price, 300);
+    });
+
+    it('leaves the price unset when one seller sold several tokens in the transaction', async () => {
+        const logs = [payment(BUYER, SELLER, '340'), nftTransfer(SELLER, BUYER, 1), nftTransfer(SELLER, BUYER, 2)];
+        const sale = await enrichTransfer(providerFor(logs), collection, '0xtx', SELLER, BUYER);
+        assert.deepEqual(sale, { marketplaceInvolved: true, isSale: false, price: null });
+    });
+});
+
+describe('salesHistory', () => {
+    beforeEach(() => {
+        installChrome();
+    });
+
+    it('keeps every sale recorded concurrently', async () => {
+        const timestamp = new Date().toISOString();
+        await Promise.all(['1', '2', '3'].map(tokenId => salesHistory.record({
+            tokenId, collection: 'renaiss', price: 10, seller: SELLER, buyer: BUYER, txHash: `0x${tokenId}`, blockNumber: 1, timestamp
+        })));
+        await salesHistory.remove('2', '0x2', 'renaiss');
+
+        assert.equal((await salesHistory.getLastSale('1')).txHash, '0x1');
+        assert.equal(await salesHistory.getLastSale('2'), null);
+        assert.equal((await salesHistory.getLastSale('3')).txHash, '0x3');
+    });
+});
@@ -0,0 +1,109 @@
+// test/scrapers.test.mjs
+/**
+ * Scrapers against saved page fixtures
+ * Fixtures are captureFixture() output; a selector change that breaks a scraper shows up
+ * here as a mismatch with the values recorded next to the HTML.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts, readFixture } from './support/classic-scripts.mjs';
+
+const CARD_SCRIPTS = ['config.js', 'utils.js', 'card-url.js', 'selectors.js', 'dom.js'];
+const MARKETPLACE_SCRIPTS = ['config.js', 'api-client.js', 'selectors.js', 'card-url.js', 'marketplace-tiles.js'];
+
+describe('card page scrapers', () => {
+    const fixture = readFixture('card-1001.json');
+
+    it('reads the owner', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        assert.equal(window.getOwner(), '0x3f5c...f0be');
+        assert.equal(window.getOwner(), fixture.extracted.owner);
+    });
+
+    it('reads every offer bidder and price', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        const { bidders, prices } = window.getAllOffers();
+        assert.deepEqual([...bidders], ['0x8894...2d4e', '0x1a2b...9f0c']);
+        assert.deepEqual([...prices], ['$118.50', '$101.00']);
+        assert.deepEqual({ bidders: [...bidders], prices: [...prices] },
+            { bidders: fixture.extracted.bidders, prices: fixture.extracted.prices });
+    });
+
+    it('returns no offers when the card has none', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        window.findAllBySelector(window.eval('SELECTORS.card.offerLabel'))
+            .forEach(span => span.closest('div').parentElement.remove());
+        const { bidders, prices } = window.getAllOffers();
+        assert.equal(bidders.length, 0);
+        assert.equal(prices.length, 0);
+    });
+
+    it('reads the listing price and FMV', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        assert.deepEqual({ ...window.getCardPrices() }, { list: 120, fmv: 130.25 });
+        assert.deepEqual({ ...window.getCardPrices() }, { list: fixture.extracted.list, fmv: fixture.extracted.fmv });
+    });
+
+    it('scrapes a detached document like the live page', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        const saved = new window.DOMParser().parseFromString(fixture.html, 'text/html');
+        assert.equal(window.getOwner(saved), fixture.extracted.owner);
+        assert.deepEqual({ ...window.getCardPrices(saved) }, { list: fixture.extracted.list, fmv: fixture.extracted.fmv });
+    });
+
+    it('extracts the token ID from card URLs', () => {
+        const window = loadClassicScripts(fixture, CARD_SCRIPTS);
+        assert.equal(window.getTokenIdFromUrl(fixture.url), fixture.extracted.tokenId);
+        assert.equal(window.getTokenIdFromUrl('https://www.renaiss.xyz/card/1001?ref=marketplace'), '1001');
+        assert.equal(window.getTokenIdFromUrl('https://www.renaiss.xyz/card/1001#renaiss-transfer=0xabc'), '1001');
+    });
+
+    it('finds every selector the card page needs', () => {
+        const missing = fixture.selfTest.filter(result => result.status === 'missing');
+        assert.deepEqual(missing, []);
+    });
+});
+
+describe('marketplace tile scraper', () => {
+    const fixture = readFixture('marketplace.json');
+
+    function extractTiles(window) {
+        // Copy out of the window's realm so deepEqual compares values, not prototypes
+        return [...window.findAllBySelector(window.eval('SELECTORS.marketplace.card'))]
+            .filter(card => card.textContent.includes('$'))
+            .map(card => ({ ...window.extractTileData(card) }));
+    }
+
+    it('reads token ID, name and prices from every tile', () => {
+        const window = loadClassicScripts(fixture, MARKETPLACE_SCRIPTS);
+        const tiles = extractTiles(window);
+        assert.equal(tiles.length, 4);
+        assert.deepEqual(tiles[0], {
+            tokenId: '1001',
+            cardName: '2016 Pokemon Evolutions Charizard Holo PSA 10',
+            listingPrice: 120,
+            fmvPrice: 130.25
+        });
+        assert.deepEqual(tiles, fixture.extracted.tiles);
+    });
+
+    it('parses thousands separators', () => {
+        const window = loadClassicScripts(fixture, MARKETPLACE_SCRIPTS);
+        const tile = extractTiles(window).find(t => t.tokenId === '2047');
+        assert.equal(tile.listingPrice, 1249.99);
+        assert.equal(tile.fmvPrice, 1180);
+    });
+
+    it('sorts unlisted tiles last and leaves a missing FMV null', () => {
+        const window = loadClassicScripts(fixture, MARKETPLACE_SCRIPTS);
+        const tiles = extractTiles(window);
+        assert.equal(tiles.find(t => t.tokenId === '3310').listingPrice, window.eval('UNLISTED_PRICE'));
+        assert.equal(tiles.find(t => t.tokenId === '4512').fmvPrice, null);
+    });
+
+    it('finds every selector the marketplace needs', () => {
+        const missing = fixture.selfTest.filter(result => result.status === 'missing');
+        assert.deepEqual(missing, []);
+    });
+});
@@ -0,0 +1,40 @@
+// test/service-worker.test.mjs
+/**
+ * Which messages keep the response channel open
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+import { waitFor } from './support/wait.mjs';
+
+describe('service worker messages', () => {
+    let chrome;
+    let tabQueue;
+    // Every onMessage listener's return value, in registration order
+    const send = (request, sender = { tab: { id: 5 } }) => chrome.runtime.onMessage.dispatch(request, sender, () => {});
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chrome = installChrome();
+        await import('../src/service-worker.js');
+        ({ tabQueue } = await import('../src/tab-queue.js'));
+    });
+
+    after(() => mock.restoreAll());
+
+    it('keeps the channel open for actions answered asynchronously', async () => {
+        assert.ok(send({ action: 'openTab', url: 'https://www.renaiss.xyz/card/1001' }).includes(true));
+        assert.ok(send({ action: 'get-last-sale', tokenId: '1001' }).includes(true));
+        assert.ok(send({ action: 'get-budget-status' }).includes(true));
+
+        // The opened tab holds a queue slot until it closes
+        await waitFor(() => chrome.tabs.created.length === 1);
+        await tabQueue.releaseSlot(chrome.tabs.created[0].id);
+    });
+
+    it('closes it for actions answered right away and for unknown ones', () => {
+        assert.ok(!send({ action: 'stop-nft-listening' }).includes(true));
+        assert.ok(!send({ action: 'no-such-action' }).includes(true));
+    });
+});
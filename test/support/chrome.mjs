@@ -0,0 +1,129 @@
+// test/support/chrome.mjs
+/**
+ * In-memory chrome.* for service worker modules
+ * Storage areas keep their data across re-imports, so a test can drop a module instance
+ * and import a fresh one to stand in for a service worker restart.
+ */
+
+function createStorageArea(area, onChanged) {
+    const data = new Map();
+    const pick = (keys) => {
+        if (keys === undefined || keys === null) {
+            return Object.fromEntries(data);
+        }
+        if (typeof keys === 'string') {
+            keys = [keys];
+        }
+        if (Array.isArray(keys)) {
+            return Object.fromEntries(keys.filter(key => data.has(key)).map(key => [key, structuredClone(data.get(key))]));
+        }
+        return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, data.has(key) ? structuredClone(data.get(key)) : fallback]));
+    };
+    const respond = (result, callback) => {
+        if (callback) {
+            callback(result);
+            return undefined;
+        }
+        return Promise.resolve(result);
+    };
+
+    return {
+        data,
+        get(keys, callback) {
+            if (typeof keys === 'function') {
+                return respond(pick(undefined), keys);
+            }
+            return respond(pick(keys), callback);
+        },
+        set(items, callback) {
+            const changes = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+                data.set(key, structuredClone(value));
+            }
+            onChanged.dispatch(changes, area);
+            return respond(undefined, callback);
+        },
+        remove(keys, callback) {
+            for (const key of [].concat(keys)) {
+                data.delete(key);
+            }
+            return respond(undefined, callback);
+        }
+    };
+}
+
+function createEvent() {
+    const listeners = new Set();
+    return {
+        listeners,
+        addListener: listener => listeners.add(listener),
+        removeListener: listener => listeners.delete(listener),
+        dispatch: (...args) => [...listeners].map(listener => listener(...args))
+    };
+}
+
+/**
+ * Install a fresh chrome global
+ * @returns {object} - The mock; tabs.created and tabs.messages record what the code under test did
+ */
+export function installChrome() {
+    const storageChanged = createEvent();
+    const alarms = new Map();
+    let nextTabId = 100;
+    let nextNotificationId = 1;
+
+    const chrome = {
+        runtime: {
+            lastError: undefined,
+            onMessage: createEvent(),
+            sendMessage: () => Promise.resolve()
+        },
+        storage: {
+            local: createStorageArea('local', storageChanged),
+            session: createStorageArea('session', storageChanged),
+            onChanged: storageChanged
+        },
+        alarms: {
+            alarms,
+            create: (name, info) => { alarms.set(name, { name, ...info }); },
+            get: async name => alarms.get(name),
+            clear: async name => alarms.delete(name),
+            onAlarm: createEvent()
+        },
+        tabs: {
+            created: [],
+            messages: [],
+            open: new Set(),
+            create: async ({ url }) => {
+                const tab = { id: nextTabId++, url };
+                chrome.tabs.created.push(tab);
+                chrome.tabs.open.add(tab.id);
+                return tab;
+            },
+            get: async (tabId) => {
+                if (!chrome.tabs.open.has(tabId)) {
+                    throw new Error(`No tab with id: ${tabId}.`);
+                }
+                return { id: tabId };
+            },
+            sendMessage: (tabId, message, callback) => {
+                chrome.tabs.messages.push({ tabId, message });
+                callback?.();
+            },
+            onRemoved: createEvent()
+        },
+        notifications: {
+            created: [],
+            create: (id, options, callback) => {
+                const notificationId = id || `notification-${nextNotificationId++}`;
+                chrome.notifications.created.push({ id: notificationId, options });
+                callback?.(notificationId);
+            },
+            clear: (id, callback) => callback?.(true),
+            onClicked: createEvent()
+        }
+    };
+    globalThis.chrome = chrome;
+    return chrome;
+}
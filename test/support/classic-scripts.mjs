@@ -0,0 +1,41 @@
+// test/support/classic-scripts.mjs
+/**
+ * Classic script loader
+ * Content scripts share globals instead of importing each other, so tests load them into
+ * a jsdom window in manifest order and read the functions back off that window.
+ */
+
+import { readFileSync } from 'node:fs';
+import { Script } from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const SRC_DIR = new URL('../../src/', import.meta.url);
+
+/**
+ * @param {object} fixture - Fixture from captureFixture(): { url, html }
+ * @param {string[]} files - Script names under src/, in manifest order
+ * @param {Function} [setup] - Called with the window before the scripts run, e.g. to add chrome.*
+ * @returns {Window} - jsdom window with the scripts evaluated
+ */
+export function loadClassicScripts(fixture, files, setup) {
+    const dom = new JSDOM(fixture.html, { url: fixture.url, runScripts: 'outside-only' });
+    const { window } = dom;
+    // Scrapers log every lookup; keep test output readable
+    window.console = { ...console, log() {}, warn() {} };
+    setup?.(window);
+    // Scripts run in one context share top-level const and let like content scripts do
+    const context = dom.getInternalVMContext();
+    for (const file of files) {
+        const url = new URL(file, SRC_DIR);
+        new Script(readFileSync(url, 'utf8'), { filename: url.pathname }).runInContext(context);
+    }
+    return window;
+}
+
+/**
+ * @param {string} name - File name under test/fixtures/
+ * @returns {object}
+ */
+export function readFixture(name) {
+    return JSON.parse(readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
@@ -0,0 +1,22 @@
+// test/support/loader.mjs
+/**
+ * Module hooks registered by register.mjs
+ */
+
+const SRC_URL = new URL('../../src/', import.meta.url).href;
+const ESM_SH_ETHERS = /^https:\/\/esm\.sh\/ethers@[^/]+$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (ESM_SH_ETHERS.test(specifier)) {
+        return nextResolve('ethers', { ...context, parentURL: import.meta.url });
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    // package.json has no "type": the extension ships these as modules without a build step
+    if (url.startsWith(SRC_URL) && new URL(url).pathname.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
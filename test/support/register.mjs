@@ -0,0 +1,10 @@
+// test/support/register.mjs
+/**
+ * Lets Node import the extension's service worker modules as the browser does:
+ * src/*.js are ES modules, and the esm.sh ethers build resolves to the ethers package.
+ * Usage: node --import ./test/support/register.mjs --test ...
+ */
+
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,20 @@
+// test/support/wait.mjs
+
+import { setImmediate as nextTurn } from 'node:timers/promises';
+
+/**
+ * Wait for work the code under test kicked off without awaiting
+ * Yields with setImmediate, which the tests never mock, and uses wall time only for the deadline.
+ * @param {Function} condition - Returns truthy once done
+ * @param {object} [options] - { timeoutMs, message }
+ * @returns {Promise<void>}
+ */
+export async function waitFor(condition, { timeoutMs = 2000, message = 'condition' } = {}) {
+    const deadline = performance.now() + timeoutMs;
+    while (!await condition()) {
+        if (performance.now() > deadline) {
+            throw new Error(`Timed out after ${timeoutMs} ms waiting for ${message}`);
+        }
+        await nextTurn();
+    }
+}
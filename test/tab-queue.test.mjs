@@ -0,0 +1,100 @@
+// test/tab-queue.test.mjs
+/**
+ * Tab queue across a service worker restart
+ */
+
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+import { waitFor } from './support/wait.mjs';
+
+let restarts = 0;
+
+// A fresh module instance stands in for a restarted service worker
+async function startWorker() {
+    const { tabQueue } = await import(`../src/tab-queue.js?worker=${restarts++}`);
+    return tabQueue;
+}
+
+describe('tab queue', () => {
+    let chrome;
+
+    beforeEach(() => {
+        // Slot timeouts would otherwise keep the test process alive
+        mock.timers.enable({ apis: ['setTimeout'] });
+        chrome = installChrome();
+        chrome.storage.local.data.set('tabQueueSettings', { maxConcurrentTabs: 1, dedupeWindowMinutes: 10 });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('resumes queued tabs and held slots after a restart', async () => {
+        const before = await startWorker();
+        await before.enqueue('https://www.renaiss.xyz/card/1', 'scan');
+        await before.enqueue('https://www.renaiss.xyz/card/2', 'scan');
+        await waitFor(() => chrome.tabs.created.length === 1 && !before.isProcessing);
+        assert.deepEqual(chrome.tabs.created.map(tab => tab.url), ['https://www.renaiss.xyz/card/1']);
+        assert.ok(chrome.alarms.alarms.has('tab-queue-resume'));
+
+        const after = await startWorker();
+        await after.resume();
+        assert.equal(chrome.tabs.created.length, 1, 'the restored slot is still held');
+
+        const dedupe = await after.enqueue('https://www.renaiss.xyz/card/1', 'scan');
+        assert.deepEqual(dedupe, { queued: false, reason: 'Opened recently' });
+
+        await after.releaseSlot(chrome.tabs.created[0].id);
+        await waitFor(() => chrome.tabs.created.length === 2, { message: 'the queued tab' });
+        assert.deepEqual(chrome.tabs.created.map(tab => tab.url),
+            ['https://www.renaiss.xyz/card/1', 'https://www.renaiss.xyz/card/2']);
+    });
+
+    it('frees slots whose time ran out while the worker was stopped', async () => {
+        const before = await startWorker();
+        await before.enqueue('https://www.renaiss.xyz/card/1', 'scan');
+        await before.enqueue('https://www.renaiss.xyz/card/2', 'transfer');
+        await waitFor(() => chrome.tabs.created.length === 1 && !before.isProcessing);
+
+        const state = chrome.storage.session.data.get('tab-queue-state');
+        state.activeTabs[0][1].openedAt -= 5 * 60 * 1000;
+
+        const after = await startWorker();
+        await after.resume();
+        mock.timers.tick(0);
+        await waitFor(() => chrome.tabs.created.length === 2, { message: 'the expired slot to open the next tab' });
+    });
+
+    it('clears the resume alarm once nothing is queued or open', async () => {
+        const queue = await startWorker();
+        await queue.enqueue('https://www.renaiss.xyz/card/1', 'scan');
+        await waitFor(() => chrome.alarms.alarms.has('tab-queue-resume'));
+        await queue.releaseSlot(chrome.tabs.created[0].id);
+        await waitFor(() => !chrome.alarms.alarms.has('tab-queue-resume'), { message: 'the alarm to clear' });
+    });
+
+    it('dedupes by collection and token ID', async () => {
+        const queue = await startWorker();
+        await queue.enqueue('https://www.renaiss.xyz/card/1', 'scan');
+        await waitFor(() => chrome.tabs.created.length === 1 && !queue.isProcessing);
+
+        assert.deepEqual(await queue.enqueue('https://www.renaiss.xyz/card/1', 'transfer', 'renaiss'),
+            { queued: false, reason: 'Opened recently' });
+        assert.deepEqual(await queue.enqueue('https://example.com/card/1', 'transfer', 'custom-abc'), { queued: true });
+    });
+
+    it('tells card pages outside the built-in collection which collection they belong to', async () => {
+        chrome.storage.local.data.set('tabQueueSettings', { maxConcurrentTabs: 2, dedupeWindowMinutes: 10 });
+        const queue = await startWorker();
+        await queue.enqueue('https://www.renaiss.xyz/card/1#renaiss-transfer=0xabc', 'transfer', 'renaiss');
+        await queue.enqueue('https://example.com/card/2#renaiss-transfer=0xdef', 'transfer', 'custom-abc');
+        await waitFor(() => chrome.tabs.created.length === 2 && !queue.isProcessing);
+
+        const [builtIn, custom] = chrome.tabs.created.map(tab => tab.url);
+        assert.equal(builtIn, 'https://www.renaiss.xyz/card/1#renaiss-transfer=0xabc');
+        assert.equal(globalThis.getCollectionFromUrl(builtIn), null);
+        assert.equal(globalThis.getTransferTxHashFromUrl(custom), '0xdef');
+        assert.equal(globalThis.getCollectionFromUrl(custom), 'custom-abc');
+    });
+});
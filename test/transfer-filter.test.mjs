@@ -0,0 +1,59 @@
+// test/transfer-filter.test.mjs
+/**
+ * Transfer rules, watchlist matching included
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './support/chrome.mjs';
+import { fmvCache } from '../src/fmv-cache.js';
+
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x3333333333333333333333333333333333333333';
+
+let worker = 0;
+
+describe('transferFilter', () => {
+    let chrome;
+    let transferFilter;
+
+    beforeEach(async () => {
+        chrome = installChrome();
+        ({ transferFilter } = await import(`../src/transfer-filter.js?worker=${++worker}`));
+    });
+
+    const transfer = (tokenId, overrides = {}) => ({
+        tokenId, from: SELLER, to: BUYER, marketplaceInvolved: false, salePrice: null, ...overrides
+    });
+
+    it('matches watchlist name patterns against names cached from marketplace scans', async () => {
+        await chrome.storage.local.set({
+            watchlist: [{ tokenId: '', namePattern: 'charizard*', autoOfferOnTransfer: true }]
+        });
+        await fmvCache.record([{ tokenId: '7', fmv: 120, name: 'Charizard Holo' }]);
+
+        const result = await transferFilter.evaluate(transfer('7'));
+        assert.equal(result.actionable, true);
+        assert.equal(result.watchlistEntry.namePattern, 'charizard*');
+    });
+
+    it('applies the general rules to cards that are not watchlisted', async () => {
+        const result = await transferFilter.evaluate(transfer('8'));
+        assert.deepEqual(result, { actionable: false, reason: 'not-marketplace', watchlistEntry: null });
+    });
+
+    it('keeps token IDs of different collections apart', async () => {
+        await chrome.storage.local.set({
+            watchlist: [{ tokenId: '7', collection: null, namePattern: '', autoOfferOnTransfer: true }],
+            transferRules: { minFmv: 100 }
+        });
+        await fmvCache.record([{ tokenId: '7', fmv: 500, name: 'Built-in card' }]);
+        await fmvCache.record([{ tokenId: '7', fmv: 5, name: 'Custom card', collection: 'custom-abc' }]);
+
+        const builtIn = await transferFilter.evaluate(transfer('7', { collection: 'renaiss' }));
+        assert.equal(builtIn.watchlistEntry?.tokenId, '7');
+
+        const custom = await transferFilter.evaluate(transfer('7', { collection: 'custom-abc', marketplaceInvolved: true }));
+        assert.deepEqual(custom, { actionable: false, reason: 'below-min-fmv', watchlistEntry: null });
+    });
+});
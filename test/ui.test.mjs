@@ -0,0 +1,47 @@
+// test/ui.test.mjs
+/**
+ * Card page overlay with user-entered labels
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadClassicScripts } from './support/classic-scripts.mjs';
+
+const PAGE = { url: 'https://www.renaiss.xyz/card/1001', html: '<!DOCTYPE html><html><body></body></html>' };
+const MARKUP = '"><img src=x onerror=alert(1)>';
+
+describe('helper overlay', () => {
+    it('shows strategy labels and reasons as text', () => {
+        const window = loadClassicScripts(PAGE, ['ui.js']);
+        window.createHelperUI(130, 120, 110, { strategy: `Sniper ${MARKUP}`, reason: `Because ${MARKUP}`, meetsThreshold: true });
+
+        const overlay = window.document.getElementById('helper-overlay');
+        assert.equal(overlay.querySelector('img'), null);
+        const strategy = overlay.querySelector('[data-helper-strategy]');
+        assert.equal(strategy.textContent, `Strategy: Sniper ${MARKUP}`);
+        assert.equal(strategy.getAttribute('title'), `Because ${MARKUP}`);
+        assert.ok(window.document.getElementById('auto-offer-btn'));
+    });
+
+    it('shows watchlist labels and alerts as text', () => {
+        const window = loadClassicScripts(PAGE, ['ui.js']);
+        window.createHelperUI(130, 120, 110, {
+            strategy: 'Balanced',
+            reason: 'Target offer',
+            meetsThreshold: true,
+            watchlist: { label: `"${MARKUP}"`, alert: `Listed ${MARKUP}` }
+        });
+
+        const overlay = window.document.getElementById('helper-overlay');
+        assert.equal(overlay.querySelector('img'), null);
+        const watchlist = overlay.querySelector('[data-helper-watchlist]');
+        assert.equal(watchlist.textContent, `★ Watchlist "${MARKUP}" - Listed ${MARKUP}`);
+        assert.equal(watchlist.getAttribute('title'), `Listed ${MARKUP}`);
+    });
+
+    it('leaves the watchlist out for cards not on it', () => {
+        const window = loadClassicScripts(PAGE, ['ui.js']);
+        window.createHelperUI(130, 120, 110, { strategy: 'Balanced', reason: 'Target offer', meetsThreshold: false });
+        assert.equal(window.document.querySelector('[data-helper-watchlist]'), null);
+    });
+});